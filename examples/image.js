@@ -6,7 +6,7 @@ const device  = new escpos.USB();
 const printer = new escpos.Printer(device);
 
 const tux = path.join(__dirname, 'tux.png');
-escpos.Image.load(tux, function(image){
+escpos.Image.load(tux).then(image => {
 
   device.open(function(){
 
@@ -20,4 +20,4 @@ escpos.Image.load(tux, function(image){
 
   });
 
-});
\ No newline at end of file
+}, err => console.error(err));
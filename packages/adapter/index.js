@@ -50,6 +50,19 @@ Adapter.prototype.write = function () {
   return this;
 };
 
+/**
+ * [read the next chunk of data sent back by the printer]
+ * Adapters that support reading override it and emit a `read` event for every chunk received.
+ * @param  {Function} callback [callback(err, data)]
+ * @return {[type]}            [description]
+ */
+Adapter.prototype.read = function () {
+  throw new Error('NotImplementedException');
+};
+
+// lets the printer tell adapters that cannot read from the ones that can
+Adapter.prototype.read.notImplemented = true;
+
 /**
  * [exports description]
  * @type {[type]}
@@ -87,6 +87,9 @@ Bluetooth.prototype.open = function(callback){
       callback && callback(err);
     } else {
       connection = conn;
+      connection.on('data', (data) => {
+        this.emit('read', data);
+      });
       this.emit('connect', connection);
       callback && callback();
     }
@@ -132,6 +135,21 @@ Bluetooth.prototype.write = function(data, callback) {
   return this;
 };
 
+/**
+ * Read the next chunk of data sent back by the printer
+ * @param callback callback(err, data)
+ */
+Bluetooth.prototype.read = function(callback) {
+  if (connection === null) {
+    callback && callback(new Error('No open bluetooth connection.'));
+  } else {
+    this.once('read', (data) => {
+      callback && callback(null, data);
+    });
+  }
+  return this;
+};
+
 /**
  * expose
  */
@@ -41,10 +41,12 @@ Console.prototype.open = function(callback){
  * [write description]
  * @param  {[type]} data [description]
  * @param  {[type]} bit  [description]
+ * @param  {Function} callback [called once the data is handled]
  * @return {[type]}      [description]
  */
-Console.prototype.write = function(data){
+Console.prototype.write = function(data, callback){
   this.handler && this.handler(data);
+  callback && callback();
 };
 
 /**
@@ -28,7 +28,7 @@ Network.prototype.open = function(callback){
   this.device.on("error", (err) => {
     callback && callback(err, self.device);
   }).on('data', buf => {
-    // console.log('printer say:', buf);
+    self.emit('read', buf);
   }).connect(this.port, this.address, function(err){
     self.emit('connect', self.device);
     callback && callback(err, self.device);
@@ -46,6 +46,18 @@ Network.prototype.write = function(data, callback){
   return this;
 };
 
+/**
+ * read the next chunk of data sent back by the printer
+ * @param  {Function} callback -- callback(err, data)
+ * @return
+ */
+Network.prototype.read = function(callback){
+  this.once('read', function(data){
+    callback && callback(null, data);
+  });
+  return this;
+};
+
 /**
  * [close description]
  * @param  {Function} callback [description]
@@ -0,0 +1,520 @@
+'use strict';
+const Image = require('./image');
+const utils = require('./utils');
+
+/**
+ * EAN/UPC left-hand odd parity (L) codes, R codes are their complement
+ * and G codes the reversed R codes
+ */
+const EAN_L = [ '0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011' ];
+
+/**
+ * EAN13 parity of the left half, selected by the first digit
+ */
+const EAN13_PARITY = [ 'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL' ];
+
+/**
+ * UPC-E parity for number system 0, selected by the check digit
+ */
+const UPCE_PARITY = [ 'GGGLLL', 'GGLGLL', 'GGLLGL', 'GGLLLG', 'GLGGLL', 'GLLGGL', 'GLLLGG', 'GLGLGL', 'GLGLLG', 'GLLGLG' ];
+
+/**
+ * CODE39 characters, 9 elements (bar, space, ...) narrow or wide
+ */
+const CODE39 = {
+  '0': 'nnnwwnwnn', '1': 'wnnwnnnnw', '2': 'nnwwnnnnw', '3': 'wnwwnnnnn', '4': 'nnnwwnnnw',
+  '5': 'wnnwwnnnn', '6': 'nnwwwnnnn', '7': 'nnnwnnwnw', '8': 'wnnwnnwnn', '9': 'nnwwnnwnn',
+  'A': 'wnnnnwnnw', 'B': 'nnwnnwnnw', 'C': 'wnwnnwnnn', 'D': 'nnnnwwnnw', 'E': 'wnnnwwnnn',
+  'F': 'nnwnwwnnn', 'G': 'nnnnnwwnw', 'H': 'wnnnnwwnn', 'I': 'nnwnnwwnn', 'J': 'nnnnwwwnn',
+  'K': 'wnnnnnnww', 'L': 'nnwnnnnww', 'M': 'wnwnnnnwn', 'N': 'nnnnwnnww', 'O': 'wnnnwnnwn',
+  'P': 'nnwnwnnwn', 'Q': 'nnnnnnwww', 'R': 'wnnnnnwwn', 'S': 'nnwnnnwwn', 'T': 'nnnnwnwwn',
+  'U': 'wwnnnnnnw', 'V': 'nwwnnnnnw', 'W': 'wwwnnnnnn', 'X': 'nwnnwnnnw', 'Y': 'wwnnwnnnn',
+  'Z': 'nwwnwnnnn', '-': 'nwnnnnwnw', '.': 'wwnnnnwnn', ' ': 'nwwnnnwnn', '$': 'nwnwnwnnn',
+  '/': 'nwnwnnnwn', '+': 'nwnnnwnwn', '%': 'nnnwnwnwn', '*': 'nwnnwnwnn'
+};
+
+/**
+ * ITF digits, 5 elements narrow or wide
+ */
+const ITF = [ 'nnwwn', 'wnnnw', 'nwnnw', 'wwnnn', 'nnwnw', 'wnwnn', 'nwwnn', 'nnnww', 'wnnwn', 'nwnwn' ];
+
+/**
+ * Codabar (NW7) characters, 7 elements (bar, space, ...) narrow or wide
+ */
+const CODABAR = {
+  '0': 'nnnnnww', '1': 'nnnnwwn', '2': 'nnnwnnw', '3': 'wwnnnnn', '4': 'nnwnnwn',
+  '5': 'wnnnnwn', '6': 'nwnnnnw', '7': 'nwnnwnn', '8': 'nwwnnnn', '9': 'wnnwnnn',
+  '-': 'nnnwwnn', '$': 'nnwwnnn', ':': 'wnnnwnw', '/': 'wnwnnnw', '.': 'wnwnwnn',
+  '+': 'nnwnwnw', 'A': 'nnwwnwn', 'B': 'nwnwnnw', 'C': 'nnnwnww', 'D': 'nnnwwwn'
+};
+
+/**
+ * CODE128 symbol values 0 ~ 106, module widths (bar, space, ...)
+ */
+const CODE128 = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+/**
+ * [module string of a narrow/wide pattern, alternating bars and spaces]
+ * @param  {[String]} pattern [eg: 'nnwwn']
+ * @param  {[Number]} wide    [modules of a wide element]
+ * @return {[String]}         [eg: '1010011']
+ */
+function elements(pattern, wide) {
+  return pattern.split('').map(function (e, i) {
+    return (i % 2 ? '0' : '1').repeat(e === 'w' ? wide : 1);
+  }).join('');
+}
+
+/**
+ * [complement of a module string]
+ * @param  {[String]} bits [description]
+ * @return {[String]}      [description]
+ */
+function invert(bits) {
+  return bits.replace(/[01]/g, function (b) {
+    return b === '1' ? '0' : '1';
+  });
+}
+
+/**
+ * [EAN/UPC digit in L, G or R code]
+ * @param  {[String]} digit  [description]
+ * @param  {[String]} parity [L, G or R]
+ * @return {[String]}        [description]
+ */
+function ean(digit, parity) {
+  var l = EAN_L[digit];
+  if (parity === 'L') return l;
+  if (parity === 'R') return invert(l);
+  return invert(l).split('').reverse().join('');
+}
+
+/**
+ * [check the code only contains digits and has one of the given lengths]
+ * @param  {[String]} code    [description]
+ * @param  {[Array]}  lengths [description]
+ * @param  {[String]} type    [for the error message]
+ */
+function digits(code, lengths, type) {
+  if (!/^\d+$/.test(code) || !~lengths.indexOf(code.length)) {
+    throw new Error(type + ' Barcode type requires ' + lengths.join(' or ') + ' digits');
+  }
+}
+
+const encoders = {
+
+  EAN13: function (code) {
+    digits(code, [ 12, 13 ], 'EAN13');
+    code = code.slice(0, 12) + utils.getParityBit(code.slice(0, 12));
+    var parity = EAN13_PARITY[code[0]];
+    var bits = '101';
+    for (var i = 1; i < 7; i++) bits += ean(code[i], parity[i - 1]);
+    bits += '01010';
+    for (i = 7; i < 13; i++) bits += ean(code[i], 'R');
+    return { bits: bits + '101', text: code };
+  },
+
+  EAN8: function (code) {
+    digits(code, [ 7, 8 ], 'EAN8');
+    code = code.slice(0, 7) + utils.getParityBit(code.slice(0, 7));
+    var bits = '101';
+    for (var i = 0; i < 4; i++) bits += ean(code[i], 'L');
+    bits += '01010';
+    for (i = 4; i < 8; i++) bits += ean(code[i], 'R');
+    return { bits: bits + '101', text: code };
+  },
+
+  UPC_A: function (code) {
+    digits(code, [ 11, 12 ], 'UPC-A');
+    var result = encoders.EAN13('0' + code.slice(0, 11));
+    return { bits: result.bits, text: result.text.slice(1) };
+  },
+
+  UPC_E: function (code) {
+    digits(code, [ 6, 7, 8 ], 'UPC-E');
+    if (code.length === 6) code = '0' + code;
+    if (code[0] !== '0' && code[0] !== '1') {
+      throw new Error('UPC-E Barcode type requires number system 0 or 1');
+    }
+    var d = code.slice(1, 7);
+    var expanded;
+    if (d[5] <= '2') expanded = d.slice(0, 2) + d[5] + '0000' + d.slice(2, 5);
+    else if (d[5] === '3') expanded = d.slice(0, 3) + '00000' + d.slice(3, 5);
+    else if (d[5] === '4') expanded = d.slice(0, 4) + '00000' + d[4];
+    else expanded = d.slice(0, 5) + '0000' + d[5];
+    var check = utils.getParityBit(code[0] + expanded);
+    var parity = UPCE_PARITY[check];
+    var bits = '101';
+    for (var i = 0; i < 6; i++) {
+      var p = parity[i];
+      // number system 1 uses the inverted parity pattern
+      if (code[0] === '1') p = p === 'L' ? 'G' : 'L';
+      bits += ean(d[i], p);
+    }
+    return { bits: bits + '010101', text: code[0] + d + check };
+  },
+
+  CODE39: function (code) {
+    code = code.toUpperCase().replace(/^\*|\*$/g, '');
+    var bits = code.split('').map(function (c) {
+      if (!CODE39[c] || c === '*') {
+        throw new Error('CODE39 Barcode type can not encode character: ' + c);
+      }
+      return elements(CODE39[c], 3);
+    });
+    var guard = elements(CODE39['*'], 3);
+    return { bits: [ guard ].concat(bits, guard).join('0'), text: code };
+  },
+
+  ITF: function (code) {
+    if (!/^\d+$/.test(code)) throw new Error('ITF Barcode type requires digits');
+    if (code.length % 2) code = '0' + code;
+    var bits = '1010';
+    for (var i = 0; i < code.length; i += 2) {
+      var bars = ITF[code[i]], spaces = ITF[code[i + 1]];
+      for (var j = 0; j < 5; j++) {
+        bits += '1'.repeat(bars[j] === 'w' ? 3 : 1);
+        bits += '0'.repeat(spaces[j] === 'w' ? 3 : 1);
+      }
+    }
+    return { bits: bits + '11101', text: code };
+  },
+
+  NW7: function (code) {
+    code = code.toUpperCase();
+    if (!/^[A-D]/.test(code)) code = 'A' + code;
+    if (!/[A-D]$/.test(code) || code.length < 3) code = code + 'A';
+    var bits = code.split('').map(function (c, i) {
+      var inner = i > 0 && i < code.length - 1;
+      if (!CODABAR[c] || (inner && /[A-D]/.test(c))) {
+        throw new Error('NW7 Barcode type can not encode character: ' + c);
+      }
+      return elements(CODABAR[c], 3);
+    });
+    return { bits: bits.join('0'), text: code };
+  },
+
+  CODE128: function (code) {
+    code = code128(code);
+    var values = code128Values(code);
+    var checksum = values.reduce(function (sum, value, i) {
+      return sum + value * (i || 1);
+    }, 0) % 103;
+    var bits = values.concat(checksum, 106).map(function (value) {
+      return CODE128[value].split('').map(function (width, i) {
+        return (i % 2 ? '0' : '1').repeat(+width);
+      }).join('');
+    });
+    return { bits: bits.join(''), text: code128Text(code) };
+  },
+
+  GS1_128: function (code) {
+    var result = encoders.CODE128(gs1(code));
+    return { bits: result.bits, text: gs1Text(code) };
+  }
+};
+
+/**
+ * GS1 application identifiers with a predefined length, by their first two digits
+ * [total length of the AI and its data]
+ */
+const GS1_FIXED_LENGTH = {
+  '00': 20, '01': 16, '02': 16, '03': 16, '04': 18,
+  '11': 8, '12': 8, '13': 8, '14': 8, '15': 8, '16': 8, '17': 8, '18': 8, '19': 8,
+  '20': 4, '31': 10, '32': 10, '33': 10, '34': 10, '35': 10, '36': 10, '41': 16
+};
+
+/**
+ * [encode text as CODE128 data in ESC/POS format, choosing the code sets]
+ * Code set C is used for runs of digits, A for control characters and B otherwise.
+ * `{1` ~ `{4` stand for FNC1 ~ FNC4 and `{{` for a literal '{',
+ * characters 128 ~ 255 are sent with FNC4. Data already starting with
+ * a code set selector ({A, {B or {C) is returned as is.
+ *
+ * @param  {[String]} text [description]
+ * @return {[String]}      [eg: '{BNo.{C\x0c\x22']
+ */
+function code128(text) {
+  if (/^\{[ABC]/.test(text)) return text;
+  var tokens = [];
+  for (var i = 0; i < text.length; i++) {
+    var c = text[i];
+    if (c === '{' && /[1-4]/.test(text[i + 1])) {
+      tokens.push({ fnc: text[++i] });
+      continue;
+    }
+    if (c === '{' && text[i + 1] === '{') i++;
+    var code = c.charCodeAt(0);
+    if (code > 0xff) throw new Error('CODE128 Barcode type can not encode character: ' + c);
+    tokens.push({ code: code & 0x7f, ext: code > 0x7f });
+  }
+  if (!tokens.length) throw new Error('CODE128 Barcode type requires data');
+
+  var isDigit = function (t) {
+    return t && t.code >= 0x30 && t.code <= 0x39 && !t.ext;
+  };
+  var digitsAt = function (i) {
+    var n = 0;
+    while (isDigit(tokens[i + n])) n++;
+    return n;
+  };
+  var fits = function (t, set) {
+    return set === 'A' ? t.code < 0x60 : t.code >= 0x20;
+  };
+  // A when a control character comes before any lower case character
+  var choose = function (i) {
+    for (; i < tokens.length; i++) {
+      if (tokens[i].fnc) continue;
+      if (tokens[i].code < 0x20) return 'A';
+      if (tokens[i].code >= 0x60) return 'B';
+    }
+    return 'B';
+  };
+  var char = function (t) {
+    var c = String.fromCharCode(t.code);
+    return c === '{' ? '{{' : c;
+  };
+
+  var set, out = '';
+  var run = digitsAt(0), first = tokens[0].fnc === '1' ? digitsAt(1) : run;
+  if (first >= 4 || (first >= 2 && first === tokens.length - (tokens[0].fnc ? 1 : 0))) {
+    set = 'C';
+  } else {
+    set = choose(0);
+  }
+  out = '{' + set;
+
+  for (i = 0; i < tokens.length;) {
+    var t = tokens[i];
+    run = digitsAt(i);
+    if (set === 'C') {
+      if (run >= 2) {
+        out += String.fromCharCode(+(String.fromCharCode(t.code) + String.fromCharCode(tokens[i + 1].code)));
+        i += 2;
+      } else if (t.fnc === '1') {
+        out += '{1';
+        i++;
+      } else {
+        set = choose(i);
+        out += '{' + set;
+      }
+      continue;
+    }
+    if (run >= 4 && (run >= 6 || i + run === tokens.length)) {
+      // an odd digit goes in the current code set
+      if (run % 2) out += char(tokens[i++]);
+      set = 'C';
+      out += '{C';
+      continue;
+    }
+    if (t.fnc) {
+      out += '{' + t.fnc;
+    } else {
+      if (t.ext) out += '{4';
+      if (fits(t, set)) {
+        out += char(t);
+      } else if (tokens[i + 1] && !tokens[i + 1].fnc && fits(tokens[i + 1], set)) {
+        out += '{S' + char(t);
+      } else {
+        set = set === 'A' ? 'B' : 'A';
+        out += '{' + set + char(t);
+      }
+    }
+    i++;
+  }
+  return out;
+}
+
+/**
+ * [parse GS1 element strings written as (AI)data(AI)data...]
+ * @param  {[String]} text [eg: '(01)09501101530003(17)250101']
+ * @return {[Array]}       [[{ ai, data }]]
+ */
+function gs1Elements(text) {
+  var elements = [];
+  var rest = text.replace(/\((\d{2,4})\)([^(]*)/g, function (_, ai, data) {
+    var fixed = GS1_FIXED_LENGTH[ai.slice(0, 2)];
+    if (fixed && ai.length + data.length !== fixed) {
+      throw new Error('GS1 application identifier (' + ai + ') requires ' + (fixed - ai.length) + ' characters');
+    }
+    if (!data.length) throw new Error('GS1 application identifier (' + ai + ') has no data');
+    elements.push({ ai: ai, data: data, fixed: !!fixed });
+    return '';
+  });
+  if (rest || !elements.length) {
+    throw new Error('GS1-128 Barcode type requires data like (01)09501101530003(17)250101');
+  }
+  return elements;
+}
+
+/**
+ * [encode GS1 element strings as CODE128 data in ESC/POS format]
+ * FNC1 starts the symbol and separates variable length fields.
+ * @param  {[String]} text [eg: '(01)09501101530003(17)250101']
+ * @return {[String]}      [description]
+ */
+function gs1(text) {
+  var elements = gs1Elements(text);
+  return code128('{1' + elements.map(function (element, i) {
+    var separator = !element.fixed && i < elements.length - 1 ? '{1' : '';
+    return element.ai + element.data.replace(/\{/g, '{{') + separator;
+  }).join(''));
+}
+
+/**
+ * [human readable text of GS1 element strings]
+ * @param  {[String]} text [description]
+ * @return {[String]}      [description]
+ */
+function gs1Text(text) {
+  return gs1Elements(text).map(function (element) {
+    return '(' + element.ai + ')' + element.data;
+  }).join('');
+}
+
+/**
+ * [CODE128 symbol values of data in ESC/POS format]
+ * The data starts with a code set selector ({A, {B or {C), and may contain
+ * code set changes, {S (shift), {1 ~ {4 (FNC1 ~ FNC4) and {{ for a literal '{'.
+ * In code set C every character is a value 0 ~ 99.
+ * @param  {[String]} data [description]
+ * @return {[Array]}       [start value, symbol values...]
+ */
+function code128Values(data) {
+  var START = { A: 103, B: 104, C: 105 };
+  var SWITCH = { A: 101, B: 100, C: 99 };
+  var set = data[1], shift = false;
+  if (data[0] !== '{' || !START[set]) {
+    throw new Error('CODE128 data must start with a code set selector: {A, {B or {C');
+  }
+  var values = [ START[set] ];
+  for (var i = 2; i < data.length; i++) {
+    var c = data[i];
+    var current = shift ? (set === 'A' ? 'B' : 'A') : set;
+    shift = false;
+    if (c === '{' && data[i + 1] !== '{') {
+      var f = data[++i];
+      if (SWITCH[f]) {
+        if (f !== set) values.push(SWITCH[f]);
+        set = f;
+      } else if (f === 'S' && set !== 'C') {
+        values.push(98);
+        shift = true;
+      } else if (f === '1') {
+        values.push(102);
+      } else if (f === '2' && current !== 'C') {
+        values.push(97);
+      } else if (f === '3' && current !== 'C') {
+        values.push(96);
+      } else if (f === '4' && current !== 'C') {
+        values.push(current === 'A' ? 101 : 100);
+      } else {
+        throw new Error('CODE128 data contains an invalid function: {' + f);
+      }
+      continue;
+    }
+    if (c === '{') i++;
+    var code = c.charCodeAt(0);
+    if (current === 'C') {
+      if (code > 99) throw new Error('CODE128 code set C values must be 0 ~ 99');
+      values.push(code);
+    } else if (current === 'A' && code < 0x60) {
+      values.push(code < 0x20 ? code + 64 : code - 32);
+    } else if (current === 'B' && code >= 0x20 && code < 0x80) {
+      values.push(code - 32);
+    } else {
+      throw new Error('CODE128 code set ' + current + ' can not encode character: ' + c);
+    }
+  }
+  return values;
+}
+
+/**
+ * [human readable text of CODE128 data in ESC/POS format]
+ * @param  {[String]} data [description]
+ * @return {[String]}      [description]
+ */
+function code128Text(data) {
+  if (data[0] !== '{') return data;
+  var text = '', set = data[1];
+  for (var i = 2; i < data.length; i++) {
+    var c = data[i];
+    if (c === '{' && data[i + 1] !== '{') {
+      var f = data[++i];
+      if (/[ABC]/.test(f)) set = f;
+      continue;
+    }
+    if (c === '{') i++;
+    if (set === 'C') {
+      text += ('0' + c.charCodeAt(0)).slice(-2);
+    } else if (c.charCodeAt(0) >= 0x20) {
+      text += c;
+    }
+  }
+  return text;
+}
+
+exports.code128 = code128;
+exports.gs1 = gs1;
+
+/**
+ * [can the symbology be rendered in software]
+ * @param  {[String]}  type [eg: 'EAN13', 'UPC_A']
+ * @return {[Boolean]}      [description]
+ */
+exports.supports = function (type) {
+  return encoders.hasOwnProperty(type);
+};
+
+/**
+ * [encode a barcode into modules]
+ * @param  {[String]} code [description]
+ * @param  {[String]} type [eg: 'EAN13', 'UPC_A']
+ * @return {[Object]}      [{ bits: '1011...', text: human readable text }]
+ */
+exports.encode = function (code, type) {
+  if (!exports.supports(type)) {
+    throw new Error('Barcode type ' + type + ' can not be rendered');
+  }
+  return encoders[type](String(code));
+};
+
+/**
+ * [render a barcode as an image]
+ * @param  {[String]} code    [description]
+ * @param  {[String]} type    [eg: 'EAN13', 'UPC_A']
+ * @param  {[Object]} options [width: dots per module, height: dots, quietZone: modules on each side]
+ * @return {[Image]}          [the image, its `text` property holds the human readable text]
+ */
+exports.render = function (code, type, options) {
+  options = options || {};
+  var result = exports.encode(code, type);
+  var quiet = '0'.repeat(options.quietZone === undefined ? 10 : options.quietZone);
+  var bits = quiet + result.bits + quiet;
+  var module = options.width || 2;
+  var width = bits.length * module;
+  var height = options.height || 100;
+  var data = new Uint8Array(width * height * 4).fill(255);
+  for (var x = 0; x < width; x++) {
+    if (bits[Math.floor(x / module)] !== '1') continue;
+    for (var y = 0; y < height; y++) {
+      var i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = 0;
+    }
+  }
+  var image = new Image({ data: data, shape: [ width, height, 4 ] });
+  image.text = result.text;
+  return image;
+};
@@ -0,0 +1,66 @@
+'use strict';
+const iconv = require('iconv-lite');
+
+const cache = {};
+
+/**
+ * [iconv-lite encoding name of a code page]
+ * @usage:
+ *   iconvName('CP858') => 'cp858'
+ *   iconvName('ISO8859-2') => 'iso88592'
+ * @param  {[String]} codepage [description]
+ * @return {[String]}          [description]
+ */
+function iconvName(codepage) {
+  return codepage.toLowerCase().replace(/[-_]/g, '');
+}
+
+/**
+ * [can the character be printed with the code page]
+ * @param  {[String]}  ch       [a single character]
+ * @param  {[String]}  codepage [description]
+ * @return {[Boolean]}          [description]
+ */
+function canEncode(ch, codepage) {
+  if (ch.charCodeAt(0) < 0x80) return true;
+  var key = codepage + ch;
+  if (!(key in cache)) {
+    var encoding = iconvName(codepage);
+    cache[key] = iconv.encodingExists(encoding) &&
+      iconv.decode(iconv.encode(ch, encoding), encoding) === ch;
+  }
+  return cache[key];
+}
+
+/**
+ * [split text into runs that can each be printed with one code page]
+ * The current code page is kept as long as possible, a character it cannot print
+ * switches to the first of `codepages` that can, unknown characters stay in the current one.
+ *
+ * @param  {[String]} content   [text to print]
+ * @param  {[String]} current   [code page currently selected]
+ * @param  {[Array]}  codepages [code pages the printer supports, in order of preference]
+ * @return {[Array]}            [[{ codepage, text }]]
+ */
+function split(content, current, codepages) {
+  var runs = [];
+  var run = { codepage: current, text: '' };
+  Array.from(content).forEach(function (ch) {
+    if (!canEncode(ch, run.codepage)) {
+      var found = codepages.filter(function (codepage) {
+        return canEncode(ch, codepage);
+      })[0];
+      if (found) {
+        if (run.text) runs.push(run);
+        run = { codepage: found, text: '' };
+      }
+    }
+    run.text += ch;
+  });
+  if (run.text) runs.push(run);
+  return runs;
+}
+
+exports.iconvName = iconvName;
+exports.canEncode = canEncode;
+exports.split = split;
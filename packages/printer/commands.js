@@ -46,6 +46,15 @@ _.FEED_CONTROL_SEQUENCES = {
   CTL_VT: '\x0b',   // Vertical tab
 };
 
+/**
+ * [PAPER_FEED Print and feed paper]
+ * @type {Object}
+ */
+_.PAPER_FEED = {
+  LINES: '\x1b\x64', // ESC d n: feed n lines
+  DOTS: '\x1b\x4a', // ESC J n: feed n dots
+};
+
 _.CHARACTER_SPACING = {
   CS_DEFAULT: '\x1b\x20\x00',
   CS_SET: '\x1b\x20'
@@ -66,6 +75,44 @@ _.HARDWARE = {
   HW_RESET: '\x1b\x3f\x0a\x00', // Reset printer hardware
 };
 
+/**
+ * [STATUS Real-time status transmission (DLE EOT n)]
+ * @type {Object}
+ */
+_.STATUS = {
+  PRINTER: '\x10\x04\x01', // Transmit printer status
+  OFFLINE: '\x10\x04\x02', // Transmit offline cause status
+  ERROR: '\x10\x04\x03', // Transmit error cause status
+  PAPER: '\x10\x04\x04', // Transmit roll paper sensor status
+};
+
+/**
+ * [AUTO_STATUS_BACK Automatic Status Back (GS a n)]
+ * @type {Object}
+ */
+_.AUTO_STATUS_BACK = {
+  ASB_SET: '\x1d\x61', // Enable/disable ASB, followed by the flags byte
+  DRAWER: 0x01, // Drawer kick-out connector pin 3 status
+  ONLINE: 0x02, // Online/offline status
+  ERROR: 0x04, // Error status
+  PAPER: 0x08, // Roll paper sensor status
+  ALL: 0x0f
+};
+
+/**
+ * [IDENTIFY Transmit printer ID (GS I n)]
+ * @type {Object}
+ */
+_.IDENTIFY = {
+  MODEL_ID: '\x1d\x49\x01', // Printer model ID
+  TYPE_ID: '\x1d\x49\x02', // Type ID
+  VERSION_ID: '\x1d\x49\x03', // Version ID
+  FIRMWARE: '\x1d\x49\x41', // Firmware version
+  MAKER: '\x1d\x49\x42', // Maker name
+  MODEL: '\x1d\x49\x43', // Model name
+  SERIAL: '\x1d\x49\x44', // Serial number
+};
+
 /**
  * [CASH_DRAWER Cash Drawer]
  * @type {Object}
@@ -73,6 +120,7 @@ _.HARDWARE = {
 _.CASH_DRAWER = {
   CD_KICK_2: '\x1b\x70\x00\x19\xfa', // Sends a pulse to pin 2 []
   CD_KICK_5: '\x1b\x70\x01\x19\xfa', // Sends a pulse to pin 5 []
+  CD_KICK: '\x1b\x70', // followed by m t1 t2: pin 2 (0) or 5 (1), on and off times in 2 ms units
 };
 
 /**
@@ -152,10 +200,23 @@ _.TEXT_FORMAT = {
   TXT_FONT_A: '\x1b\x4d\x00', // Font type A
   TXT_FONT_B: '\x1b\x4d\x01', // Font type B
   TXT_FONT_C: '\x1b\x4d\x02', // Font type C
+  TXT_FONT_D: '\x1b\x4d\x03', // Font type D
+  TXT_FONT_E: '\x1b\x4d\x04', // Font type E
+  TXT_FONT_SPECIAL_A: '\x1b\x4d\x61', // Special font A
+  TXT_FONT_SPECIAL_B: '\x1b\x4d\x62', // Special font B
 
   TXT_ALIGN_LT: '\x1b\x61\x00', // Left justification
   TXT_ALIGN_CT: '\x1b\x61\x01', // Centering
   TXT_ALIGN_RT: '\x1b\x61\x02', // Right justification
+
+  TXT_ROTATE_OFF: '\x1b\x56\x00', // 90 degrees clockwise rotation OFF
+  TXT_ROTATE_ON: '\x1b\x56\x01', // 90 degrees clockwise rotation ON
+  TXT_SMOOTH_OFF: '\x1d\x62\x00', // Smoothing OFF
+  TXT_SMOOTH_ON: '\x1d\x62\x01', // Smoothing ON
+  TXT_UPSIDE_DOWN_OFF: '\x1b\x7b\x00', // Upside-down printing OFF
+  TXT_UPSIDE_DOWN_ON: '\x1b\x7b\x01', // Upside-down printing ON
+  TXT_DOUBLE_STRIKE_OFF: '\x1b\x47\x00', // Double-strike OFF
+  TXT_DOUBLE_STRIKE_ON: '\x1b\x47\x01', // Double-strike ON
 };
 
 /**
@@ -245,6 +306,7 @@ _.BARCODE_FORMAT = {
   BARCODE_NW7: '\x1d\x6b\x06', // Barcode type NW7
   BARCODE_CODE93: '\x1d\x6b\x48', // Barcode type CODE93
   BARCODE_CODE128: '\x1d\x6b\x49', // Barcode type CODE128
+  BARCODE_GS1_128: '\x1d\x6b\x49', // Barcode type GS1-128 (CODE128 with FNC1)
 };
 
 /**
@@ -262,6 +324,56 @@ _.CODE2D_FORMAT = {
   QR_LEVEL_H: 'H'  // correct level 30%
 };
 
+/**
+ * [QRCODE_FORMAT QR Code symbol functions (GS ( k, cn = 49)]
+ * @type {Object}
+ */
+_.QRCODE_FORMAT = {
+  MODEL: '\x1d\x28\x6b\x04\x00\x31\x41', // Function 165: select the model, followed by n1 n2
+  MODEL_1: 0x31,
+  MODEL_2: 0x32,
+  MODEL_MICRO: 0x33,
+  SIZE: '\x1d\x28\x6b\x03\x00\x31\x43', // Function 167: module size in dots, followed by n [1-16]
+  LEVEL: '\x1d\x28\x6b\x03\x00\x31\x45', // Function 169: error correction level, followed by n
+  LEVEL_L: 0x30, // correct level 7%
+  LEVEL_M: 0x31, // correct level 15%
+  LEVEL_Q: 0x32, // correct level 25%
+  LEVEL_H: 0x33, // correct level 30%
+  STORE: '\x1d\x28\x6b', // Function 180: store data, followed by pL pH 31 50 30 d1...dk
+  STORE_FN: '\x31\x50\x30',
+  PRINT: '\x1d\x28\x6b\x03\x00\x31\x51\x30', // Function 181: print the stored symbol
+};
+
+/**
+ * [PDF417_FORMAT PDF417 symbol functions (GS ( k, cn = 48)]
+ * @type {Object}
+ */
+_.PDF417_FORMAT = {
+  COLUMNS: '\x1d\x28\x6b\x03\x00\x30\x41', // Function 065: data columns, followed by n [0 auto, 1-30]
+  ROWS: '\x1d\x28\x6b\x03\x00\x30\x42', // Function 066: rows, followed by n [0 auto, 3-90]
+  WIDTH: '\x1d\x28\x6b\x03\x00\x30\x43', // Function 067: module width, followed by n [2-8]
+  ROW_HEIGHT: '\x1d\x28\x6b\x03\x00\x30\x44', // Function 068: row height, followed by n [2-8]
+  LEVEL: '\x1d\x28\x6b\x04\x00\x30\x45\x30', // Function 069: error correction level, followed by n [48-56]
+  OPTIONS: '\x1d\x28\x6b\x03\x00\x30\x46', // Function 070: 0 standard, 1 truncated
+  STORE: '\x1d\x28\x6b', // Function 080: store data, followed by pL pH 30 50 30 d1...dk
+  STORE_FN: '\x30\x50\x30',
+  PRINT: '\x1d\x28\x6b\x03\x00\x30\x51\x30', // Function 081: print the stored symbol
+};
+
+/**
+ * [DATAMATRIX_FORMAT DataMatrix symbol functions (GS ( k, cn = 54)]
+ * @type {Object}
+ */
+_.DATAMATRIX_FORMAT = {
+  TYPE: '\x1d\x28\x6b\x05\x00\x36\x42', // fn 66: symbol type and size, followed by m d1 d2
+  TYPE_SQUARE: 0x30,
+  TYPE_RECTANGLE: 0x31,
+  SIZE: '\x1d\x28\x6b\x03\x00\x36\x43', // fn 67: module size, followed by n [2-16]
+  STORE: '\x1d\x28\x6b', // fn 80: store data, followed by pL pH 36 50 30 d1...dk
+  STORE_FN: '\x36\x50\x30',
+  PRINT: '\x1d\x28\x6b\x03\x00\x36\x51\x30', // fn 81: print the stored symbol
+};
+
 /**
  * [IMAGE_FORMAT Image format]
  * @type {Object}
@@ -295,6 +407,70 @@ _.GSV0_FORMAT = {
   GSV0_DWDH: '\x1d\x76\x30\x03'
 };
 
+/**
+ * [GRAPHICS graphics in the print buffer (GS ( L / GS 8 L, m = 48)]
+ * @type {Object}
+ */
+_.GRAPHICS = {
+  STORE: '\x1d\x28\x4c', // fn 112: store raster graphics, followed by pL pH 30 70 30 bx by c xL xH yL yH d1...dk
+  STORE_LARGE: '\x1d\x38\x4c', // same as STORE with a 4 bytes length p1 p2 p3 p4
+  STORE_FN: '\x30\x70\x30',
+  COLOR_1: 0x31, // black
+  COLOR_2: 0x32, // red
+  PRINT: '\x1d\x28\x4c\x02\x00\x30\x32', // fn 50: print the stored graphics
+};
+
+/**
+ * [ABSOLUTE_POSITION set the print position from the start of the line (ESC $ nL nH)]
+ * @type {String}
+ */
+_.ABSOLUTE_POSITION = '\x1b\x24';
+
+/**
+ * [RELATIVE_POSITION move the print position from the current one (ESC \ nL nH)]
+ * @type {String}
+ */
+_.RELATIVE_POSITION = '\x1b\x5c';
+
+/**
+ * [PAGE_MODE Page mode commands]
+ * @type {Object}
+ */
+_.PAGE_MODE = {
+  ENTER: '\x1b\x4c', // ESC L: select page mode
+  EXIT: '\x1b\x53', // ESC S: select standard mode, the page data is cleared
+  AREA: '\x1b\x57', // ESC W xL xH yL yH dxL dxH dyL dyH: print area
+  DIRECTION: '\x1b\x54', // ESC T n: print direction
+  VERTICAL_ABSOLUTE: '\x1d\x24', // GS $ nL nH: vertical position from the start
+  VERTICAL_RELATIVE: '\x1d\x5c', // GS \ nL nH: vertical position from the current one
+  PRINT: '\x1b\x0c', // ESC FF: print the page data
+  CANCEL: '\x18', // CAN: delete the page data
+};
+
+/**
+ * [NV_GRAPHICS NV graphics functions (GS ( L / GS 8 L, m = 48)]
+ * @type {Object}
+ */
+_.NV_GRAPHICS = {
+  KEY_LIST: '\x1d\x28\x4c\x04\x00\x30\x40\x4b\x43', // fn 64: transmit the defined key codes
+  DELETE_ALL: '\x1d\x28\x4c\x05\x00\x30\x41\x43\x4c\x52', // fn 65: delete all NV graphics
+  DELETE: '\x1d\x28\x4c\x04\x00\x30\x42', // fn 66: delete, followed by kc1 kc2
+  STORE: '\x1d\x28\x4c', // fn 67: define raster graphics, followed by pL pH 30 43 30 kc1 kc2 b xL xH yL yH c d1...dk
+  STORE_LARGE: '\x1d\x38\x4c', // same as STORE with a 4 bytes length p1 p2 p3 p4
+  STORE_FN: '\x30\x43\x30',
+  PRINT: '\x1d\x28\x4c\x06\x00\x30\x45', // fn 69: print, followed by kc1 kc2 x y
+  ACK: '\x06', // request the next block of a response
+};
+
+/**
+ * [NV_BIT_IMAGE NV bit image functions of older printers]
+ * @type {Object}
+ */
+_.NV_BIT_IMAGE = {
+  STORE: '\x1c\x71', // FS q n [xL xH yL yH d1...dk]1...[xL xH yL yH d1...dk]n, replaces all images
+  PRINT: '\x1c\x70', // FS p n m
+};
+
 /**
  * [BEEP description]
  * @type {string}
@@ -0,0 +1,121 @@
+'use strict';
+const Ajv = require('ajv');
+const Image = require('./image');
+const schema = require('./document.schema.json');
+
+const validator = new Ajv({ jsonPointers: false }).compile(schema);
+
+const POSITIONS = { off: 'OFF', above: 'ABV', below: 'BLW', both: 'BTH' };
+
+/**
+ * [an error in a document, with the JSON path of the bad value]
+ * @param  {[String]} path    [eg: $.blocks[2].align]
+ * @param  {[String]} message [description]
+ * @return {[Error]}          [description]
+ */
+function documentError(path, message) {
+  var err = new Error('Invalid document at ' + path + ': ' + message);
+  err.path = path;
+  return err;
+}
+
+/**
+ * [check a document against document.schema.json]
+ * @param  {[Object]} doc [description]
+ * @return {[Object]}     [the document, throws on the first error]
+ */
+function validate(doc) {
+  if (validator(doc)) return doc;
+  var error = validator.errors[0];
+  var message = error.message;
+  if (error.keyword === 'additionalProperties') message += ' (' + error.params.additionalProperty + ')';
+  if (error.keyword === 'enum') message += ': ' + error.params.allowedValues.join(', ');
+  throw documentError('$' + error.dataPath, message);
+}
+
+/**
+ * [the withStyle() options of a block]
+ * @param  {[Object]} block [description]
+ * @return {[Object]}       [description]
+ */
+function styleOf(block) {
+  return {
+    align: block.align,
+    font: block.font,
+    bold: block.bold,
+    italic: block.italic,
+    underline: block.underline,
+    invert: block.invert,
+    size: block.width || block.height ? [ block.width || 1, block.height || 1 ] : undefined
+  };
+}
+
+const blocks = {
+  text: function (printer, block) {
+    printer.withStyle(styleOf(block), function () {
+      printer.text(block.text);
+    });
+  },
+  columns: function (printer, block) {
+    printer.withStyle(styleOf(Object.assign({}, block, { align: undefined })), function () {
+      printer.columns(block.rows, { columns: block.columns, gap: block.gap });
+    });
+  },
+  barcode: function (printer, block) {
+    printer.withStyle({ align: block.align }, function () {
+      printer.barcode(block.data, block.symbology, {
+        width: block.width,
+        height: block.height,
+        position: POSITIONS[block.position || 'below'],
+        font: block.font
+      });
+    });
+  },
+  qrcode: function (printer, block) {
+    printer.withStyle({ align: block.align }, function () {
+      printer.qrcode(block.data, { version: block.version, level: block.level, size: block.size });
+    });
+  },
+  image: async function (printer, block) {
+    var image = await Image.load(block.src, { dither: block.dither, threshold: block.threshold });
+    printer.withStyle({ align: block.align }, function () {
+      printer.raster(image, { fit: block.fit });
+    });
+  },
+  divider: function (printer, block) {
+    printer.text((block.char || '-').repeat(printer.lineColumns()));
+  },
+  feed: function (printer, block) {
+    printer.feed(block.lines || 1);
+  },
+  cut: function (printer, block) {
+    printer.cut(block.partial, block.feed);
+  },
+  cashdraw: function (printer, block) {
+    printer.cashdraw(block.pin);
+  }
+};
+
+/**
+ * [print a document with the printer]
+ * Errors of a block (eg: an image that cannot be loaded) are reported with its path,
+ * printer.render() also drops what the blocks before it wrote.
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @param  {[Object]}  doc     [see document.schema.json]
+ * @return {[Promise]}         [resolves with the printer]
+ */
+async function render(printer, doc) {
+  validate(doc);
+  for (var i = 0; i < doc.blocks.length; i++) {
+    try {
+      await blocks[doc.blocks[i].type](printer, doc.blocks[i]);
+    } catch (e) {
+      throw documentError('$.blocks[' + i + ']', e.message);
+    }
+  }
+  return printer;
+}
+
+exports.schema = schema;
+exports.validate = validate;
+exports.render = render;
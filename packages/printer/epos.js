@@ -0,0 +1,306 @@
+'use strict';
+const Image = require('./image');
+const _ = require('./commands');
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+/**
+ * [replace XML character references and predefined entities]
+ * @param  {[String]} text [description]
+ * @return {[String]}      [description]
+ */
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, function (entity, name) {
+    if (name[0] === '#') {
+      var code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      if (code > 0x10ffff) throw new Error('Malformed XML: invalid character reference ' + entity);
+      return String.fromCodePoint(code);
+    }
+    if (!(name in ENTITIES)) throw new Error('Unknown XML entity: ' + entity);
+    return ENTITIES[name];
+  });
+}
+
+/**
+ * [parse XML into a tree of elements]
+ * Namespace prefixes are dropped from element names, eg: s:Body => Body.
+ * @param  {[String]} xml [description]
+ * @return {[Object]}     [{ name, attributes, children: [element or text] }]
+ */
+function parse(xml) {
+  var root = { name: '#document', attributes: {}, children: [] };
+  var stack = [ root ];
+  var token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</g;
+  var match;
+  while ((match = token.exec(String(xml)))) {
+    var parent = stack[stack.length - 1];
+    if (match[1] !== undefined) {
+      parent.children.push(match[1]);
+    } else if (match[2]) {
+      var name = match[2].replace(/^.*:/, '');
+      if (stack.length === 1 || parent.name !== name) throw new Error('Malformed XML: unexpected </' + match[2] + '>');
+      stack.pop();
+    } else if (match[3]) {
+      var element = { name: match[3].replace(/^.*:/, ''), attributes: {}, children: [] };
+      var attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, a;
+      while ((a = attribute.exec(match[4]))) {
+        element.attributes[a[1].replace(/^.*:/, '')] = decode(a[2] !== undefined ? a[2] : a[3]);
+      }
+      parent.children.push(element);
+      if (!match[5]) stack.push(element);
+    } else if (match[6] !== undefined) {
+      parent.children.push(decode(match[6]));
+    } else if (match[0] === '<') {
+      throw new Error('Malformed XML at ' + match.index);
+    }
+  }
+  if (stack.length > 1) throw new Error('Malformed XML: <' + stack[stack.length - 1].name + '> is not closed');
+  return root;
+}
+
+/**
+ * [first element with the name, depth first]
+ * @param  {[Object]} node [description]
+ * @param  {[String]} name [description]
+ * @return {[Object]}      [description]
+ */
+function find(node, name) {
+  if (node.name === name) return node;
+  for (var i = 0; i < node.children.length; i++) {
+    var found = typeof node.children[i] === 'object' && find(node.children[i], name);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * [text content of an element]
+ * @param  {[Object]} element [description]
+ * @return {[String]}         [description]
+ */
+function content(element) {
+  return element.children.filter(function (child) {
+    return typeof child === 'string';
+  }).join('');
+}
+
+function bool(value) {
+  return value === 'true' || value === '1';
+}
+
+function number(value) {
+  if (value === undefined) return undefined;
+  if (!/^\s*\d+\s*$/.test(value)) throw new Error('Invalid number: ' + value);
+  return parseInt(value, 10);
+}
+
+/**
+ * [Image from an ePOS-Print raster: mono (1 bit) or gray16 (4 bits) per dot, rows padded to a byte]
+ * @param  {[Object]} element [<image width height mode>base64</image>]
+ * @return {[Image]}          [description]
+ */
+function rasterImage(element) {
+  var width = number(element.attributes.width), height = number(element.attributes.height);
+  if (!(width > 0 && height > 0)) throw new Error('<image> requires width and height');
+  var gray = element.attributes.mode === 'gray16';
+  var bits = gray ? 4 : 1;
+  var data = Buffer.from(content(element).replace(/\s+/g, ''), 'base64');
+  var stride = Math.ceil(width * bits / 8);
+  if (data.length < stride * height) throw new Error('<image> data is shorter than width x height');
+  var pixels = new Uint8ClampedArray(width * height);
+  for (var y = 0; y < height; y++) {
+    for (var x = 0; x < width; x++) {
+      var byte = data[y * stride + Math.floor(x * bits / 8)];
+      // set bits are printed: 1 in mono, 15 is the darkest in gray16
+      var value = gray ? (x % 2 ? byte & 0x0f : byte >> 4) / 15 : (byte >> (7 - x % 8)) & 1;
+      pixels[y * width + x] = 255 * (1 - value);
+    }
+  }
+  return new Image({ data: pixels, shape: [ width, height, 1 ] }, gray ? { dither: 'floyd-steinberg' } : {});
+}
+
+const BARCODES = {
+  upc_a: 'UPC_A', upc_e: 'UPC_E', ean13: 'EAN13', jan13: 'EAN13', ean8: 'EAN8', jan8: 'EAN8',
+  code39: 'CODE39', itf: 'ITF', codabar: 'NW7', code93: 'CODE93', code128: 'CODE128',
+  code128_auto: 'CODE128', gs1_128: 'GS1_128'
+};
+
+const HRI = { none: 'OFF', above: 'ABV', below: 'BLW', both: 'BTH' };
+
+const ALIGN = { left: 'LT', center: 'CT', right: 'RT' };
+
+const FONTS = { font_a: 'A', font_b: 'B', font_c: 'C', font_d: 'D', font_e: 'E', special_a: 'SPECIAL_A', special_b: 'SPECIAL_B' };
+
+// reserved cuts (cut when the next receipt starts) have no ESC/POS equivalent here
+const CUTS = { feed: [ true, undefined ], no_feed: [ true, 0 ], full_cut_feed: [ false, undefined ], full_cut_no_feed: [ false, 0 ] };
+
+const PULSES = { pulse_100: 100, pulse_200: 200, pulse_300: 300, pulse_400: 400, pulse_500: 500 };
+
+const SOUNDS = { pattern_a: 1, pattern_b: 2, pattern_c: 3, pattern_d: 4, pattern_e: 5, a: 1, b: 2, c: 3, d: 4, e: 5 };
+
+/**
+ * [apply the attributes of <text>, they stay in effect for the next elements]
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @param  {[Object]}  state   [style shared by the elements of a document]
+ * @param  {[Object]}  attrs   [description]
+ */
+function textAttributes(printer, state, attrs) {
+  var sized = attrs.width !== undefined || attrs.height !== undefined || attrs.dw !== undefined || attrs.dh !== undefined;
+  // size() writes ESC ! up to double size, which also selects font A and turns em and ul off
+  var cleared = false;
+  if (sized) {
+    if (attrs.width !== undefined) state.width = number(attrs.width);
+    if (attrs.height !== undefined) state.height = number(attrs.height);
+    if (attrs.dw !== undefined) state.width = bool(attrs.dw) ? 2 : 1;
+    if (attrs.dh !== undefined) state.height = bool(attrs.dh) ? 2 : 1;
+    if (!(state.width >= 1 && state.width <= 8 && state.height >= 1 && state.height <= 8)) {
+      throw new Error('Invalid text size: ' + state.width + 'x' + state.height);
+    }
+    printer.size(state.width, state.height);
+    cleared = state.width <= 2 && state.height <= 2;
+  }
+  if (attrs.font !== undefined) {
+    if (!FONTS[attrs.font]) throw new Error('Unknown font: ' + attrs.font);
+    state.font = FONTS[attrs.font];
+  }
+  if (attrs.font !== undefined || cleared && state.font !== 'A') printer.font(state.font);
+  if (attrs.em !== undefined || attrs.ul !== undefined || cleared && (state.em || state.ul)) {
+    if (attrs.em !== undefined) state.em = bool(attrs.em);
+    if (attrs.ul !== undefined) state.ul = bool(attrs.ul);
+    printer.style((state.em ? 'B' : '') + (state.ul ? 'U' : '') || 'NORMAL');
+  }
+  if (attrs.smooth !== undefined) {
+    printer.smooth(bool(attrs.smooth));
+  }
+  if (attrs.rotate !== undefined) {
+    printer.rotate(bool(attrs.rotate));
+  }
+  if (attrs.reverse !== undefined) printer.setReverseColors(bool(attrs.reverse));
+  if (attrs.color === 'color_1') printer.color(0);
+  if (attrs.color === 'color_2') printer.color(1);
+  if (attrs.align !== undefined) {
+    if (!ALIGN[attrs.align]) throw new Error('Unknown alignment: ' + attrs.align);
+    printer.align(ALIGN[attrs.align]);
+  }
+  if (attrs.linespc !== undefined) printer.lineSpace(number(attrs.linespc));
+  if (attrs.x !== undefined) {
+    printer.buffer.write(_.ABSOLUTE_POSITION);
+    printer.buffer.writeUInt16LE(number(attrs.x));
+  }
+}
+
+const elements = {
+  text: function (printer, element, state) {
+    textAttributes(printer, state, element.attributes);
+    var text = content(element);
+    if (text) printer.pureText(text);
+  },
+  feed: function (printer, element) {
+    var attrs = element.attributes;
+    if (attrs.linespc !== undefined) printer.lineSpace(number(attrs.linespc));
+    if (attrs.unit !== undefined) {
+      printer.buffer.write(_.PAPER_FEED.DOTS);
+      printer.buffer.writeUInt8(Math.min(255, number(attrs.unit)));
+    } else if (attrs.line !== undefined) {
+      printer.buffer.write(_.PAPER_FEED.LINES);
+      printer.buffer.writeUInt8(Math.min(255, number(attrs.line)));
+    } else {
+      printer.buffer.write(_.EOL);
+    }
+  },
+  image: function (printer, element) {
+    printer.raster(rasterImage(element));
+  },
+  logo: function (printer, element) {
+    var attrs = element.attributes;
+    printer.printLogo(String.fromCharCode(number(attrs.key1), number(attrs.key2)));
+  },
+  barcode: function (printer, element) {
+    var attrs = element.attributes;
+    var type = BARCODES[attrs.type];
+    if (!type) throw new Error('Unsupported barcode type: ' + attrs.type);
+    var data = content(element);
+    // the check digit is computed again
+    if ((type === 'EAN13' && data.length === 13) || (type === 'EAN8' && data.length === 8)) data = data.slice(0, -1);
+    var width = number(attrs.width);
+    printer.barcode(data, type, {
+      width: width ? width - 1 : undefined,
+      height: number(attrs.height),
+      position: HRI[attrs.hri || 'none'],
+      font: attrs.font === 'font_b' ? 'B' : 'A'
+    });
+  },
+  symbol: function (printer, element) {
+    var attrs = element.attributes;
+    var type = attrs.type || 'qrcode_model_2';
+    var level = attrs.level && attrs.level !== 'default' ? attrs.level.replace(/^level_/, '') : undefined;
+    var data = content(element);
+    if (type === 'qrcode_model_1' || type === 'qrcode_model_2') {
+      printer.qrcode(data, {
+        model: type === 'qrcode_model_1' ? 1 : 2,
+        level: level && level.toUpperCase(),
+        size: number(attrs.width)
+      });
+    } else if (type === 'pdf417_standard' || type === 'pdf417_truncated') {
+      printer.pdf417(data, {
+        width: number(attrs.width),
+        rowHeight: number(attrs.height),
+        errorLevel: number(level),
+        truncated: type === 'pdf417_truncated'
+      });
+    } else if (/^datamatrix_/.test(type)) {
+      printer.datamatrix(data, { moduleSize: number(attrs.width) });
+    } else {
+      throw new Error('Unsupported symbol type: ' + type);
+    }
+  },
+  cut: function (printer, element) {
+    // [partial, lines fed], cut() falls back to the cut the printer has
+    var cut = CUTS[element.attributes.type || 'feed'];
+    if (!cut) throw new Error('Unsupported cut type: ' + element.attributes.type);
+    printer.cut(cut[0], cut[1]);
+  },
+  pulse: function (printer, element) {
+    var attrs = element.attributes;
+    if (attrs.time !== undefined && !PULSES[attrs.time]) throw new Error('Unknown pulse time: ' + attrs.time);
+    printer.cashdraw(attrs.drawer === 'drawer_2' ? 5 : 2, PULSES[attrs.time]);
+  },
+  sound: function (printer, element) {
+    var attrs = element.attributes;
+    if (attrs.pattern === 'none') return;
+    printer.beep(Math.max(1, number(attrs.repeat) || 1), SOUNDS[attrs.pattern || 'pattern_a'] || 1);
+  },
+  command: function (printer, element) {
+    printer.raw(content(element).replace(/[^0-9a-f]/gi, ''));
+  }
+};
+
+/**
+ * [print an ePOS-Print XML document]
+ * The <epos-print> element may be wrapped in a SOAP envelope.
+ * Elements are converted in order, <text> attributes stay in effect like on Epson printers.
+ *
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @param  {[String]}  xml     [description]
+ * @return {[Printer]}         [the escpos printer instance]
+ */
+function print(printer, xml) {
+  var root = find(parse(xml), 'epos-print');
+  if (!root) throw new Error('No <epos-print> element found');
+  var state = { font: 'A', width: 1, height: 1, em: false, ul: false };
+  root.children.forEach(function (child, i) {
+    if (typeof child === 'string') return;
+    var handler = elements[child.name];
+    if (!handler) throw new Error('Unsupported ePOS-Print element <' + child.name + '> at position ' + i);
+    try {
+      handler(printer, child, state);
+    } catch (e) {
+      e.message = '<' + child.name + '> at position ' + i + ': ' + e.message;
+      throw e;
+    }
+  });
+  return printer;
+}
+
+exports.parse = parse;
+exports.print = print;
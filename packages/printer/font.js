@@ -0,0 +1,230 @@
+'use strict';
+const fs = require('fs');
+const opentype = require('opentype.js');
+const Image = require('./image');
+
+/**
+ * Sub-scanlines per dot, vertical anti-aliasing
+ * @type {Number}
+ */
+const SUBSAMPLES = 4;
+
+const cache = {};
+
+/**
+ * [load a TrueType / OpenType font]
+ * @param  {[type]} font [file path, Buffer or opentype.js Font]
+ * @return {[Font]}      [opentype.js Font]
+ */
+function load(font) {
+  if (font && typeof font.getPath === 'function') return font;
+  if (Buffer.isBuffer(font)) {
+    return opentype.parse(font.buffer.slice(font.byteOffset, font.byteOffset + font.length));
+  }
+  if (typeof font !== 'string') throw new TypeError('Font must be a file path, Buffer or opentype.js Font');
+  if (!cache[font]) cache[font] = load(fs.readFileSync(font));
+  return cache[font];
+}
+
+/**
+ * [points along a bezier curve, the start point excluded]
+ * @param  {[Array]} points [start, control points and end, [[x, y]]]
+ * @return {[Array]}        [[[x, y]]]
+ */
+function curve(points) {
+  var length = 0;
+  for (var i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+  }
+  // about one segment every 2 dots
+  var n = Math.max(1, Math.ceil(length / 2));
+  var result = [];
+  for (var s = 1; s <= n; s++) {
+    var t = s / n;
+    // de Casteljau
+    var p = points.map(function (point) { return point.slice(); });
+    for (var k = p.length - 1; k > 0; k--) {
+      for (var j = 0; j < k; j++) {
+        p[j][0] += (p[j + 1][0] - p[j][0]) * t;
+        p[j][1] += (p[j + 1][1] - p[j][1]) * t;
+      }
+    }
+    result.push(p[0]);
+  }
+  return result;
+}
+
+/**
+ * [flatten path commands into line edges]
+ * @param  {[Array]} commands [opentype.js path commands]
+ * @return {[Array]}          [[x0, y0, x1, y1]]
+ */
+function edges(commands) {
+  var result = [];
+  var start = null, last = null;
+  function line(to) {
+    if (last[1] !== to[1]) result.push([ last[0], last[1], to[0], to[1] ]);
+    last = to;
+  }
+  function close() {
+    if (start && last) line(start);
+  }
+  commands.forEach(function (cmd) {
+    switch (cmd.type) {
+      case 'M':
+        close();
+        start = last = [ cmd.x, cmd.y ];
+        break;
+      case 'L':
+        line([ cmd.x, cmd.y ]);
+        break;
+      case 'Q':
+        curve([ last, [ cmd.x1, cmd.y1 ], [ cmd.x, cmd.y ] ]).forEach(line);
+        break;
+      case 'C':
+        curve([ last, [ cmd.x1, cmd.y1 ], [ cmd.x2, cmd.y2 ], [ cmd.x, cmd.y ] ]).forEach(line);
+        break;
+      case 'Z':
+        close();
+        start = null;
+        break;
+    }
+  });
+  close();
+  return result;
+}
+
+/**
+ * [fill edges with the nonzero winding rule]
+ * @param  {[Array]}  lines  [[x0, y0, x1, y1]]
+ * @param  {[Number]} width  [description]
+ * @param  {[Number]} height [description]
+ * @return {[Float32Array]}  [coverage of every dot, 0 ~ 1]
+ */
+function fill(lines, width, height) {
+  var coverage = new Float32Array(width * height);
+  lines.sort(function (a, b) {
+    return Math.min(a[1], a[3]) - Math.min(b[1], b[3]);
+  });
+  var active = [], next = 0;
+  for (var sy = 0; sy < height * SUBSAMPLES; sy++) {
+    var y = (sy + 0.5) / SUBSAMPLES;
+    while (next < lines.length && Math.min(lines[next][1], lines[next][3]) <= y) active.push(lines[next++]);
+    active = active.filter(function (e) {
+      return Math.max(e[1], e[3]) > y;
+    });
+    var crossings = [];
+    active.forEach(function (e) {
+      if (Math.min(e[1], e[3]) > y) return;
+      crossings.push({
+        x: e[0] + (y - e[1]) * (e[2] - e[0]) / (e[3] - e[1]),
+        dir: e[3] > e[1] ? 1 : -1
+      });
+    });
+    crossings.sort(function (a, b) { return a.x - b.x; });
+    var row = Math.floor(sy / SUBSAMPLES) * width;
+    var winding = 0;
+    for (var i = 0; i < crossings.length - 1; i++) {
+      winding += crossings[i].dir;
+      if (!winding) continue;
+      var from = Math.max(0, crossings[i].x), to = Math.min(width, crossings[i + 1].x);
+      for (var x = Math.floor(from); x < to; x++) {
+        coverage[row + x] += (Math.min(x + 1, to) - Math.max(x, from)) / SUBSAMPLES;
+      }
+    }
+  }
+  return coverage;
+}
+
+/**
+ * [break text into lines no wider than `width`]
+ * Lines break at spaces, words wider than a line (or text without spaces) break anywhere.
+ * @param  {[String]}   text    [description]
+ * @param  {[Number]}   width   [dots]
+ * @param  {[Function]} measure [width of a string in dots]
+ * @return {[Array]}            [lines]
+ */
+function wrap(text, width, measure) {
+  var lines = [];
+  String(text).split(/\r?\n/).forEach(function (paragraph) {
+    var line = '';
+    paragraph.split(' ').forEach(function (word) {
+      var candidate = line ? line + ' ' + word : word;
+      if (measure(candidate) <= width) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = '';
+      Array.from(word).forEach(function (ch) {
+        if (line && measure(line + ch) > width) {
+          lines.push(line);
+          line = '';
+        }
+        line += ch;
+      });
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+/**
+ * [render text into an image]
+ * @usage:
+ *   render('Total 12.50', { font: 'fonts/Brand.ttf', size: 48, align: 'right', width: 576 })
+ * @param  {[String]} text    [multiple lines are separated by \n]
+ * @param  {[Object]} options [
+ *   font: file path, Buffer or opentype.js Font (required),
+ *   size: font size in dots (default 24),
+ *   width: dots per line (default 576),
+ *   align: left, center or right (or lt, ct, rt),
+ *   bold: thicken the strokes,
+ *   lineHeight: dots between baselines (default from the font),
+ *   and the conversion options of Image (dither, threshold, ...)
+ * ]
+ * @return {[Image]}          [description]
+ */
+function render(text, options) {
+  options = options || {};
+  if (!options.font) throw new Error('A font is required to render text');
+  var font = load(options.font);
+  var size = options.size || 24;
+  var width = Math.round(options.width || 576);
+  var scale = size / font.unitsPerEm;
+  var ascender = font.ascender * scale;
+  var lineGap = font.tables.hhea ? font.tables.hhea.lineGap * scale : 0;
+  var lineHeight = options.lineHeight || Math.ceil(ascender - font.descender * scale + lineGap);
+  // synthetic bold widens every stroke to the right
+  var bold = options.bold ? Math.max(1, Math.round(size / 24)) : 0;
+  var measure = function (line) {
+    return font.getAdvanceWidth(line, size, { kerning: true }) + bold;
+  };
+  var align = String(options.align || 'left').toLowerCase();
+
+  var lines = wrap(text, width, measure);
+  var height = Math.max(1, lines.length * lineHeight);
+  var commands = [];
+  lines.forEach(function (line, i) {
+    var x = 0;
+    if (align === 'center' || align === 'ct') x = (width - measure(line)) / 2;
+    if (align === 'right' || align === 'rt') x = width - measure(line);
+    var path = font.getPath(line, Math.max(0, x), i * lineHeight + ascender, size, { kerning: true });
+    commands = commands.concat(path.commands);
+  });
+
+  var coverage = fill(edges(commands), width, height);
+  var data = new Uint8ClampedArray(width * height);
+  for (var y = 0; y < height; y++) {
+    for (var x = 0; x < width; x++) {
+      var value = 0;
+      for (var b = 0; b <= bold && b <= x; b++) value = Math.max(value, coverage[y * width + x - b]);
+      data[y * width + x] = 255 * (1 - Math.min(1, value));
+    }
+  }
+  return new Image({ data: data, shape: [ width, height, 1 ] }, options);
+}
+
+exports.load = load;
+exports.wrap = wrap;
+exports.render = render;
@@ -1,56 +1,209 @@
 'use strict';
 const getPixels = require('get-pixels');
 
+/**
+ * Bayer 4x4 ordered dither matrix
+ */
+const BAYER4 = [
+  [ 0, 8, 2, 10 ],
+  [ 12, 4, 14, 6 ],
+  [ 3, 11, 1, 9 ],
+  [ 15, 7, 13, 5 ]
+];
+
+/**
+ * Error diffusion kernels [dx, dy, weight]
+ */
+const DIFFUSION = {
+  'floyd-steinberg': [
+    [ 1, 0, 7 / 16 ], [ -1, 1, 3 / 16 ], [ 0, 1, 5 / 16 ], [ 1, 1, 1 / 16 ]
+  ],
+  'atkinson': [
+    [ 1, 0, 1 / 8 ], [ 2, 0, 1 / 8 ], [ -1, 1, 1 / 8 ], [ 0, 1, 1 / 8 ], [ 1, 1, 1 / 8 ], [ 0, 2, 1 / 8 ]
+  ]
+};
+
+/**
+ * [luminance of every pixel, composited against white]
+ * @param  {[Object]} pixels  [ndarray-like { data, shape: [width, height, colors] }]
+ * @param  {[Object]} options [gamma, invert]
+ * @return {[Float32Array]}   [0 (black) ~ 255 (white)]
+ */
+function luminance(pixels, options) {
+  var width = pixels.shape[0], height = pixels.shape[1], colors = pixels.shape[2] || 1;
+  var gamma = options.gamma || 1;
+  var result = new Float32Array(width * height);
+  for (var i = 0; i < result.length; i++) {
+    var p = i * colors;
+    var r = pixels.data[p], g = r, b = r, a = 255;
+    if (colors >= 3) {
+      g = pixels.data[p + 1];
+      b = pixels.data[p + 2];
+    }
+    if (colors === 2 || colors === 4) a = pixels.data[p + colors - 1];
+    var v = 0.299 * r + 0.587 * g + 0.114 * b;
+    v = v * a / 255 + 255 * (1 - a / 255);
+    if (gamma !== 1) v = 255 * Math.pow(v / 255, 1 / gamma);
+    result[i] = options.invert ? 255 - v : v;
+  }
+  return result;
+}
+
+/**
+ * [convert pixels into dots]
+ * @param  {[Object]} pixels  [ndarray-like { data, shape: [width, height, colors] }]
+ * @param  {[Object]} options [dither: threshold|floyd-steinberg|atkinson|bayer4, threshold, gamma, invert]
+ * @return {[Array]}          [1 for a black dot, 0 for white]
+ */
+function binarize(pixels, options) {
+  options = options || {};
+  var width = pixels.shape[0], height = pixels.shape[1];
+  var threshold = options.threshold === undefined ? 128 : options.threshold;
+  var dither = options.dither || 'threshold';
+  var gray = luminance(pixels, options);
+  var data = new Array(gray.length);
+  var x, y, i;
+  if (dither === 'threshold') {
+    for (i = 0; i < gray.length; i++) data[i] = gray[i] < threshold ? 1 : 0;
+  } else if (dither === 'bayer4') {
+    for (y = 0; y < height; y++) {
+      for (x = 0; x < width; x++) {
+        i = y * width + x;
+        // spread the threshold around its value by the matrix position
+        var t = threshold + ((BAYER4[y % 4][x % 4] + 0.5) / 16 - 0.5) * 255;
+        data[i] = gray[i] < t ? 1 : 0;
+      }
+    }
+  } else if (DIFFUSION[dither]) {
+    var kernel = DIFFUSION[dither];
+    for (y = 0; y < height; y++) {
+      for (x = 0; x < width; x++) {
+        i = y * width + x;
+        var value = gray[i] < threshold ? 0 : 255;
+        var error = gray[i] - value;
+        data[i] = value ? 0 : 1;
+        kernel.forEach(function (k) {
+          var nx = x + k[0], ny = y + k[1];
+          if (nx >= 0 && nx < width && ny < height) gray[ny * width + nx] += error * k[2];
+        });
+      }
+    }
+  } else {
+    throw new Error('Unknown dither method: ' + dither);
+  }
+  return data;
+}
+
 /**
  * [Image description]
- * @param {[type]} pixels [description]
+ * @param {[type]} pixels  [description]
+ * @param {[type]} options [dither: threshold|floyd-steinberg|atkinson|bayer4, threshold (default 128), gamma, invert]
  */
-function Image(pixels){
-  if(!(this instanceof Image)) 
-    return new Image(pixels);
+function Image(pixels, options){
+  if(!(this instanceof Image))
+    return new Image(pixels, options);
   this.pixels = pixels;
+  this.options = options || {};
+  this.data = binarize(pixels, this.options);
+};
 
-  this.data = [];
-  function rgb(pixel) {
-    return {
-      r: pixel[0],
-      g: pixel[1],
-      b: pixel[2],
-      a: pixel[3]
-    };
-  };
+/**
+ * [mime type of an encoded image, by its signature]
+ * @param  {[Buffer]} buffer [description]
+ * @return {[String]}        [description]
+ */
+function sniff(buffer) {
+  if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'image/jpeg';
+  if (buffer.toString('ascii', 0, 3) === 'GIF') return 'image/gif';
+  if (buffer.toString('ascii', 0, 2) === 'BM') return 'image/bmp';
+  return null;
+}
 
-  var self = this;
-  for(var i=0;i<this.pixels.data.length;i+=this.size.colors){
-    this.data.push(rgb(new Array(this.size.colors).fill(0).map(function(_, b){
-      return self.pixels.data[ i + b ];
-    })));
-  };
+/**
+ * [flat pixels { data, shape: [width, height, colors] } from a decoded ndarray]
+ * Animated images keep their first frame only.
+ * @param  {[ndarray]} pixels [description]
+ * @return {[Object]}         [description]
+ */
+function flatten(pixels) {
+  if (pixels.shape.length === 4) pixels = pixels.pick(0);
+  var width = pixels.shape[0], height = pixels.shape[1], colors = pixels.shape[2];
+  if (pixels.offset === 0 && pixels.stride[0] === colors &&
+    pixels.stride[1] === colors * width && pixels.stride[2] === 1) return pixels;
+  var data = new Uint8Array(width * height * colors);
+  for (var y = 0; y < height; y++)
+    for (var x = 0; x < width; x++)
+      for (var c = 0; c < colors; c++)
+        data[(y * width + x) * colors + c] = pixels.get(x, y, c);
+  return { data: data, shape: [ width, height, colors ] };
+}
 
-  this.data = this.data.map(function(pixel) {
-   if (pixel.a == 0) return 0;
-   var shouldBeWhite = pixel.r > 200 && pixel.g > 200 && pixel.b > 200;
-   return shouldBeWhite ? 0 : 1;
+/**
+ * [decode pixels from a file path, url, data uri or Buffer]
+ * @param  {[type]}   source   [description]
+ * @param  {[String]} type     [mime type, detected when missing]
+ * @return {[Promise]}         [description]
+ */
+function decode(source, type) {
+  if (Buffer.isBuffer(source)) {
+    type = type || sniff(source);
+    if (!type) return Promise.reject(new Error('Unknown image type'));
+  }
+  return new Promise(function (resolve, reject) {
+    getPixels(source, type || '', function (err, pixels) {
+      if (err) return reject(err);
+      resolve(flatten(pixels));
+    });
   });
-
-};
+}
 
 /**
  * [load description]
- * @param  {[type]}   url      [description]
- * @param  {[type]}   type     [description]
- * @param  {Function} callback [description]
- * @return {[type]}            [description]
+ * @usage:
+ *   const image = await Image.load('logo.png', { dither: 'atkinson' })
+ *   const image = await Image.load(buffer)
+ *   const image = await Image.load('data:image/png;base64,...')
+ *   const image = await Image.load({ width, height, data }) // RGBA
+ * @param  {[type]}   source   [file path, url, data uri, Buffer or { width, height, data } RGBA pixels]
+ * @param  {[type]}   type     [mime type, optional]
+ * @param  {[type]}   options  [conversion options, see Image]
+ * @param  {Function} callback [deprecated, called with the image, or with the error when it cannot be loaded]
+ * @return {[Promise]}         [resolves with the image, rejects on error]
  */
-Image.load = function(url, type, callback){
+Image.load = function(source, type, options, callback){
   if(typeof type == 'function'){
     callback = type;
+    type = options = null;
+  } else if(type && typeof type == 'object'){
+    callback = options;
+    options = type;
     type = null;
+  } else if(typeof options == 'function'){
+    callback = options;
+    options = null;
+  }
+  var promise;
+  if(source && !Buffer.isBuffer(source) && typeof source == 'object'){
+    promise = source.width > 0 && source.height > 0 && source.data &&
+      source.data.length === source.width * source.height * 4 ?
+      Promise.resolve({ data: source.data, shape: [ source.width, source.height, 4 ] }) :
+      Promise.reject(new TypeError('Pixels must be { width, height, data } with 4 bytes (RGBA) per pixel'));
+  } else if(typeof source == 'string' || Buffer.isBuffer(source)){
+    promise = decode(source, type);
+  } else {
+    promise = Promise.reject(new TypeError('Unsupported image source'));
   }
-  getPixels(url, type, function(err, pixels){
-    if(err) return callback(err);
-    callback(new Image(pixels));
+  promise = promise.then(function(pixels){
+    return new Image(pixels, options);
   });
+  if(callback) promise.then(function(image){
+    // out of the promise chain, so errors thrown by the callback are not swallowed
+    process.nextTick(callback, image);
+  }, function(err){
+    process.nextTick(callback, err);
+  });
+  return promise;
 };
 
 /**
@@ -65,6 +218,319 @@ Image.prototype.__defineGetter__('size', function(){
   };
 });
 
+/**
+ * [RGBA copy of the pixels]
+ * @param  {[Object]} pixels [ndarray-like { data, shape: [width, height, colors] }]
+ * @return {[Float32Array]}  [premultiplied RGBA]
+ */
+function premultiplied(pixels) {
+  var colors = pixels.shape[2] || 1;
+  var length = pixels.shape[0] * pixels.shape[1];
+  var result = new Float32Array(length * 4);
+  for (var i = 0; i < length; i++) {
+    var p = i * colors;
+    var r = pixels.data[p], g = r, b = r, a = 255;
+    if (colors >= 3) {
+      g = pixels.data[p + 1];
+      b = pixels.data[p + 2];
+    }
+    if (colors === 2 || colors === 4) a = pixels.data[p + colors - 1];
+    result[i * 4] = r * a / 255;
+    result[i * 4 + 1] = g * a / 255;
+    result[i * 4 + 2] = b * a / 255;
+    result[i * 4 + 3] = a;
+  }
+  return result;
+}
+
+/**
+ * [triangle filter weights mapping `from` samples onto `to` samples]
+ * The filter widens when shrinking so every source pixel contributes (area averaging).
+ * @param  {[Number]} from [source size]
+ * @param  {[Number]} to   [destination size]
+ * @return {[Array]}       [[{ start, weights }]]
+ */
+function weights(from, to) {
+  var scale = from / to;
+  var support = Math.max(1, scale);
+  var result = [];
+  for (var i = 0; i < to; i++) {
+    var center = (i + 0.5) * scale;
+    var start = Math.max(0, Math.floor(center - support));
+    var end = Math.min(from, Math.ceil(center + support));
+    var w = [], total = 0;
+    for (var j = start; j < end; j++) {
+      var v = Math.max(0, 1 - Math.abs((j + 0.5 - center) / support));
+      w.push(v);
+      total += v;
+    }
+    result.push({ start: start, weights: w.map(function (v) { return v / total; }) });
+  }
+  return result;
+}
+
+/**
+ * [resample premultiplied RGBA along one axis]
+ * @param  {[Float32Array]} data  [source]
+ * @param  {[Number]} width       [source width]
+ * @param  {[Number]} height      [source height]
+ * @param  {[Array]}  filter      [weights of the resized axis]
+ * @param  {[Boolean]} vertical   [resize the height instead of the width]
+ * @return {[Float32Array]}       [description]
+ */
+function resample(data, width, height, filter, vertical) {
+  var outWidth = vertical ? width : filter.length;
+  var outHeight = vertical ? filter.length : height;
+  var result = new Float32Array(outWidth * outHeight * 4);
+  for (var y = 0; y < outHeight; y++) {
+    for (var x = 0; x < outWidth; x++) {
+      var f = filter[vertical ? y : x];
+      var o = (y * outWidth + x) * 4;
+      for (var k = 0; k < f.weights.length; k++) {
+        var sx = vertical ? x : f.start + k;
+        var sy = vertical ? f.start + k : y;
+        var p = (sy * width + sx) * 4;
+        for (var c = 0; c < 4; c++) result[o + c] += data[p + c] * f.weights[k];
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * [resize description]
+ * @usage:
+ *   image.resize({ width: 384 })
+ *   image.resize({ width: 'fit', maxWidth: 576, maxHeight: 200 })
+ * @param  {[Object]} options [
+ *   width: dots, or 'fit' to keep the width unless larger than maxWidth,
+ *   height: dots, computed from width when keepAspect,
+ *   maxWidth, maxHeight: shrink to fit within,
+ *   keepAspect: default true
+ * ]
+ * @return {[Image]}          [a new resized image]
+ */
+Image.prototype.resize = function (options) {
+  options = options || {};
+  var keepAspect = options.keepAspect !== false;
+  if (options.width === 'fit' && !options.maxWidth) {
+    throw new Error('Image resize width \'fit\' requires maxWidth');
+  }
+  var size = this.size;
+  var width = typeof options.width === 'number' ? options.width : size.width;
+  var height = typeof options.height === 'number' ? options.height :
+    keepAspect ? size.height * width / size.width : size.height;
+  if (options.maxWidth && width > options.maxWidth) {
+    if (keepAspect) height = height * options.maxWidth / width;
+    width = options.maxWidth;
+  }
+  if (options.maxHeight && height > options.maxHeight) {
+    if (keepAspect) width = width * options.maxHeight / height;
+    height = options.maxHeight;
+  }
+  width = Math.max(1, Math.round(width));
+  height = Math.max(1, Math.round(height));
+
+  var data = premultiplied(this.pixels);
+  if (width !== size.width) data = resample(data, size.width, size.height, weights(size.width, width), false);
+  if (height !== size.height) data = resample(data, width, size.height, weights(size.height, height), true);
+
+  var result = new Uint8ClampedArray(data.length);
+  for (var i = 0; i < data.length; i += 4) {
+    var a = data[i + 3];
+    result[i] = a ? data[i] * 255 / a : 0;
+    result[i + 1] = a ? data[i + 1] * 255 / a : 0;
+    result[i + 2] = a ? data[i + 2] * 255 / a : 0;
+    result[i + 3] = a;
+  }
+  return new Image({ data: result, shape: [ width, height, 4 ] }, this.options);
+};
+
+/**
+ * [scale the image, up or down, to `width` dots keeping its aspect ratio]
+ * @param  {[Number]} width [printable dots]
+ * @return {[Image]}        [a new image]
+ */
+Image.prototype.fit = function (width) {
+  return this.resize({ width: Math.floor(width) });
+};
+
+/**
+ * [separate the image into the planes of a two-color (black and red) printer]
+ * Black ink darkens every channel, red ink only green and blue:
+ * the black plane follows the red channel, the red plane what green and blue lose beyond it.
+ * Red dots under black dots are dropped.
+ * @return {[Object]} [{ black: Image, red: Image }]
+ */
+Image.prototype.separate = function () {
+  var size = this.size;
+  var source = premultiplied(this.pixels);
+  var length = size.width * size.height;
+  var black = new Uint8ClampedArray(length);
+  var red = new Uint8ClampedArray(length);
+  for (var i = 0; i < length; i++) {
+    // composite against white
+    var white = 255 - source[i * 4 + 3];
+    var r = source[i * 4] + white;
+    var gb = (source[i * 4 + 1] + source[i * 4 + 2]) / 2 + white;
+    black[i] = r;
+    red[i] = 255 - Math.max(0, r - gb);
+  }
+  var planes = {
+    black: new Image({ data: black, shape: [ size.width, size.height, 1 ] }, this.options),
+    red: new Image({ data: red, shape: [ size.width, size.height, 1 ] }, this.options)
+  };
+  planes.red.data = planes.red.data.map(function (dot, i) {
+    return planes.black.data[i] ? 0 : dot;
+  });
+  return planes;
+};
+
+/**
+ * [move the dots and pixels of an image into a new one]
+ * Dots are kept as they are, without converting the pixels again.
+ * @param  {[Image]}    image  [description]
+ * @param  {[Number]}   width  [width of the new image]
+ * @param  {[Number]}   height [height of the new image]
+ * @param  {[Function]} source [(x, y) => index of the source pixel, or -1 for white]
+ * @return {[Image]}           [description]
+ */
+function transform(image, width, height, source) {
+  var pixels = premultiplied(image.pixels);
+  var data = new Array(width * height);
+  var rgba = new Uint8ClampedArray(width * height * 4);
+  for (var y = 0; y < height; y++) {
+    for (var x = 0; x < width; x++) {
+      var i = y * width + x;
+      var from = source(x, y);
+      data[i] = from < 0 ? 0 : image.data[from];
+      // composite against white
+      for (var c = 0; c < 3; c++) rgba[i * 4 + c] = from < 0 ? 255 : pixels[from * 4 + c] + 255 - pixels[from * 4 + 3];
+      rgba[i * 4 + 3] = 255;
+    }
+  }
+  var result = Object.create(Image.prototype);
+  result.pixels = { data: rgba, shape: [ width, height, 4 ] };
+  result.options = image.options;
+  result.data = data;
+  return result;
+}
+
+/**
+ * [rotate clockwise]
+ * @param  {[Number]} degrees [90, 180 or 270]
+ * @return {[Image]}          [a new image]
+ */
+Image.prototype.rotate = function (degrees) {
+  var w = this.size.width, h = this.size.height;
+  switch (((degrees % 360) + 360) % 360) {
+    case 0:
+      return transform(this, w, h, function (x, y) { return y * w + x; });
+    case 90:
+      return transform(this, h, w, function (x, y) { return (h - 1 - x) * w + y; });
+    case 180:
+      return transform(this, w, h, function (x, y) { return (h - 1 - y) * w + w - 1 - x; });
+    case 270:
+      return transform(this, h, w, function (x, y) { return x * w + w - 1 - y; });
+  }
+  throw new Error('Image can only be rotated by a multiple of 90 degrees');
+};
+
+/**
+ * [mirror horizontally]
+ * @return {[Image]} [a new image]
+ */
+Image.prototype.flipX = function () {
+  var w = this.size.width;
+  return transform(this, w, this.size.height, function (x, y) { return y * w + w - 1 - x; });
+};
+
+/**
+ * [mirror vertically]
+ * @return {[Image]} [a new image]
+ */
+Image.prototype.flipY = function () {
+  var w = this.size.width, h = this.size.height;
+  return transform(this, w, h, function (x, y) { return (h - 1 - y) * w + x; });
+};
+
+/**
+ * [swap black and white dots]
+ * @return {[Image]} [a new image]
+ */
+Image.prototype.invert = function () {
+  var w = this.size.width;
+  var result = transform(this, w, this.size.height, function (x, y) { return y * w + x; });
+  result.data = result.data.map(function (dot) { return dot ? 0 : 1; });
+  for (var i = 0; i < result.pixels.data.length; i++) {
+    if (i % 4 !== 3) result.pixels.data[i] = 255 - result.pixels.data[i];
+  }
+  return result;
+};
+
+/**
+ * [keep a part of the image]
+ * @param  {[Number]} x      [left]
+ * @param  {[Number]} y      [top]
+ * @param  {[Number]} width  [description]
+ * @param  {[Number]} height [description]
+ * @return {[Image]}         [a new image]
+ */
+Image.prototype.crop = function (x, y, width, height) {
+  var w = this.size.width;
+  x = Math.max(0, x | 0);
+  y = Math.max(0, y | 0);
+  width = Math.min(w - x, width === undefined ? w : width | 0);
+  height = Math.min(this.size.height - y, height === undefined ? this.size.height : height | 0);
+  if (!(width > 0 && height > 0)) throw new Error('Crop area is outside of the image');
+  return transform(this, width, height, function (cx, cy) { return (y + cy) * w + x + cx; });
+};
+
+/**
+ * [crop the blank borders, the image is returned as is when it has no black dot]
+ * @param  {[Number]} margin [blank dots to keep around, default 0]
+ * @return {[Image]}         [a new image]
+ */
+Image.prototype.trim = function (margin) {
+  var w = this.size.width, h = this.size.height;
+  var left = w, top = h, right = -1, bottom = -1;
+  for (var y = 0; y < h; y++) {
+    for (var x = 0; x < w; x++) {
+      if (!this.data[y * w + x]) continue;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y);
+    }
+  }
+  if (right < 0) return this.crop(0, 0, w, h);
+  margin = margin || 0;
+  left = Math.max(0, left - margin);
+  top = Math.max(0, top - margin);
+  return this.crop(left, top, Math.min(w - 1, right + margin) - left + 1, Math.min(h - 1, bottom + margin) - top + 1);
+};
+
+/**
+ * [add white borders]
+ * @usage:
+ *   image.pad(8)               // every side
+ *   image.pad(8, 16)           // top and bottom, left and right
+ *   image.pad(0, 16, 8, 16)    // top, right, bottom, left
+ * @return {[Image]} [a new image]
+ */
+Image.prototype.pad = function (top, right, bottom, left) {
+  top = top || 0;
+  right = right === undefined ? top : right;
+  bottom = bottom === undefined ? top : bottom;
+  left = left === undefined ? right : left;
+  var w = this.size.width, h = this.size.height;
+  return transform(this, left + w + right, top + h + bottom, function (x, y) {
+    x -= left;
+    y -= top;
+    return x < 0 || y < 0 || x >= w || y >= h ? -1 : y * w + x;
+  });
+};
+
 /**
  * [toBitmap description]
  * @param  {[type]} density [description]
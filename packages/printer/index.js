@@ -7,17 +7,25 @@ const { MutableBuffer } = require('mutable-buffer');
 const EventEmitter = require('events');
 const Image = require('./image');
 const utils = require('./utils');
+const status = require('./status');
+const profiles = require('./profiles');
+const codepages = require('./codepages');
+const Barcode = require('./barcode');
+const Font = require('./font');
+const Document = require('./document');
+const EPOS = require('./epos');
 const _ = require('./commands');
 const Promiseify = require('./promisify');
 
 /**
  * [function ESC/POS Printer]
  * @param  {[Adapter]} adapter [eg: usb, network, or serialport]
+ * @param  {[Object]}  options [encoding, width (columns), profile (name or object)]
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 function Printer(adapter, options) {
   if (!(this instanceof Printer)) {
-    return new Printer(adapter);
+    return new Printer(adapter, options);
   }
   var self = this;
   EventEmitter.call(this);
@@ -25,8 +33,18 @@ function Printer(adapter, options) {
   this.options = options;
   this.buffer = new MutableBuffer();
   this.encoding = options && options.encoding || 'GB18030';
-  this.width = options && options.width || 48;
   this._model = null;
+  this._logos = [];
+  this._pauses = [];
+  this._size = [ 1, 1 ];
+  this._spacing = 0;
+  this._style = defaultStyle();
+  this._styles = [];
+  this._reversed = null;
+  this._page = false;
+  this.setProfile(options && options.profile || 'default');
+  // 48 columns until font() is called, as before profiles
+  if (!(options && (options.width || options.profile))) this.width = 48;
 };
 
 Printer.create = function (device) {
@@ -39,9 +57,172 @@ Printer.create = function (device) {
  */
 util.inherits(Printer, EventEmitter);
 
+/**
+ * [whether the adapter can send back what the printer answers]
+ * It must override `Adapter.prototype.read` and emit `read` events.
+ * @param  {[Adapter]} adapter [description]
+ * @return {[Boolean]}         [description]
+ */
+function readable(adapter) {
+  return typeof adapter.read === 'function' && !adapter.read.notImplemented &&
+    typeof adapter.on === 'function';
+}
+
+/**
+ * Start dispatching the bytes read from the adapter.
+ * Automatic Status Back frames are taken out of the stream first,
+ * everything else goes to the pending request, if any.
+ * @param  {[Printer]} printer [the escpos printer instance]
+ */
+function listen(printer) {
+  if (printer._listening) return;
+  printer._listening = true;
+  printer.adapter.on('read', function (data) {
+    if (printer._statusBack) data = statusBack(printer, data);
+    if (data.length && printer._response) printer._response(data);
+  });
+}
+
+/**
+ * Take the 4-byte ASB frames out of the data and emit the matching events.
+ * An incomplete frame at the end is kept until the next chunk arrives.
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @param  {[Buffer]}  data    [bytes read from the adapter]
+ * @return {[Buffer]}          [bytes that do not belong to a frame]
+ */
+function statusBack(printer, data) {
+  var bytes = Buffer.concat([ printer._statusBackBuffer || Buffer.alloc(0), data ]);
+  var rest = [];
+  printer._statusBackBuffer = null;
+  for (var i = 0; i < bytes.length;) {
+    if (status.isStatusBackHeader(bytes[i])) {
+      if (i + 4 > bytes.length) {
+        printer._statusBackBuffer = bytes.slice(i);
+        break;
+      }
+      var frame = bytes.slice(i, i + 4);
+      if (status.isStatusBackFrame(frame)) {
+        emitStatus(printer, status.decodeStatusBack(frame));
+        i += 4;
+        continue;
+      }
+    }
+    rest.push(bytes[i++]);
+  }
+  return Buffer.from(rest);
+}
+
+/**
+ * Emit events for every condition that changed since the previous status
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @param  {[Object]}  current [decoded printer status]
+ */
+function emitStatus(printer, current) {
+  var previous = printer._status || {};
+  var changed = function (name) {
+    return current[name] && !previous[name];
+  };
+  printer._status = current;
+  printer.emit('status', current);
+  if (changed('paperNearEnd')) printer.emit('paper-near-end', current);
+  if (changed('paperEnd')) printer.emit('paper-end', current);
+  if (changed('coverOpen')) printer.emit('cover-open', current);
+  if (changed('drawerOpen')) printer.emit('drawer-open', current);
+  if (previous.drawerOpen && !current.drawerOpen) printer.emit('drawer-close', current);
+  if (!current.online && previous.online !== false) printer.emit('offline', current);
+  if (status.hasProblem(previous) && !status.hasProblem(current)) printer.emit('recovered', current);
+}
+
+/**
+ * Encode text for the printer. Once a code page was selected with `codepage()`,
+ * characters it cannot print switch to another code page supported by the profile.
+ * @param  {[Printer]} printer  [the escpos printer instance]
+ * @param  {[String]}  content  [text to encode]
+ * @param  {[String]}  encoding [explicit encoding, disables code page switching]
+ * @return {[Buffer]}           [description]
+ */
+function encodeText(printer, content, encoding) {
+  if (encoding || !printer._codepage) {
+    return iconv.encode(content, encoding || printer.encoding);
+  }
+  var table = printer.profile.codePages;
+  var buffers = codepages.split(content, printer._codepage, Object.keys(table)).map(function (run) {
+    var text = iconv.encode(run.text, codepages.iconvName(run.codepage));
+    if (run.codepage === printer._codepage) return text;
+    printer._codepage = run.codepage;
+    printer.encoding = codepages.iconvName(run.codepage);
+    return Buffer.concat([ Buffer.from([ 0x1b, 0x74, table[run.codepage] ]), text ]);
+  });
+  return Buffer.concat(buffers);
+}
+
+/**
+ * Print a barcode rendered in software, for symbologies the printer lacks.
+ * The human readable text is printed as text above and/or below the bars.
+ * @param  {[Printer]} printer  [the escpos printer instance]
+ * @param  {[String]}  code     [description]
+ * @param  {[String]}  type     [eg: 'EAN13', 'UPC_A']
+ * @param  {[Number]}  width    [module width 1 ~ 5, as for GS w]
+ * @param  {[Number]}  height   [bar height in dots]
+ * @param  {[String]}  position [OFF|ABV|BLW|BTH]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+function barcodeImage(printer, code, type, width, height, position) {
+  var modules = Barcode.encode(code, type).bits.length + 20;
+  var module = width >= 1 && width <= 5 ? width + 1 : 2;
+  // narrow the bars rather than overflow the print head
+  module = Math.max(1, Math.min(module, Math.floor(printer.profile.width / modules)));
+  var image = Barcode.render(code, type, {
+    width: module,
+    height: height >= 1 && height <= 255 ? height : printer.profile.barcodeCommands.height
+  });
+  position = (position || 'BLW').toUpperCase();
+  if (position === 'ABV' || position === 'BTH') printer.text(image.text);
+  printer.raster(image);
+  if (position === 'BLW' || position === 'BTH') printer.text(image.text);
+  return printer;
+}
+
+/**
+ * Send a real-time command straight to the adapter and collect its response.
+ * Requests are queued so that concurrent callers never read each other's bytes.
+ * @param  {[Printer]}  printer  [the escpos printer instance]
+ * @param  {[String]}   command  [command bytes]
+ * @param  {Function}   complete [returns true once the received bytes form a full response]
+ * @param  {[Number]}   timeout  [milliseconds to wait for the response, default 3000]
+ * @return {[Promise]}           [resolves to the response Buffer]
+ */
+function request(printer, command, complete, timeout) {
+  var adapter = printer.adapter;
+  var pending = (printer._request || Promise.resolve()).catch(function () {}).then(function () {
+    return new Promise(function (resolve, reject) {
+      if (!readable(adapter)) return reject(new Error('Adapter does not support reading'));
+      listen(printer);
+      var received = Buffer.alloc(0);
+      var timer = setTimeout(function () {
+        done(new Error('Printer did not respond in time'));
+      }, timeout || 3000);
+      function done(err, data) {
+        clearTimeout(timer);
+        printer._response = null;
+        err ? reject(err) : resolve(data);
+      }
+      printer._response = function (data) {
+        received = Buffer.concat([ received, data ]);
+        if (complete(received)) done(null, received);
+      };
+      adapter.write(Buffer.from(command, 'binary'), function (err) {
+        if (err) done(err);
+      });
+    });
+  });
+  printer._request = pending;
+  return pending;
+}
+
 /**
  * Set printer model to recognize model-specific commands.
- * Supported models: [ null, 'qsprinter' ]
+ * Supported models: [ null, 'qsprinter' ], or any registered profile name
  *
  * For generic printers, set model to null
  *
@@ -51,21 +232,103 @@ util.inherits(Printer, EventEmitter);
  */
 Printer.prototype.model = function (_model) {
   this._model = _model;
+  return this.setProfile(_model || 'default');
+};
+
+/**
+ * Select the capability profile driving model-specific behavior,
+ * see `Printer.profiles` to register custom profiles
+ * @param  {[String|Object]} profile [profile name, or profile object (completed from `extends`, default: 'default')]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.setProfile = function (profile) {
+  // profile objects are completed from the profile they extend, as with `profiles.register`
+  this.profile = typeof profile === 'string' ? profiles.get(profile) : profiles.create(profile);
+  this.width = this.options && this.options.width || this.profile.columns.A;
   return this;
 };
 
+/**
+ * Query the printer identity (GS I n).
+ * Older printers do not answer the maker, model, firmware or serial number
+ * queries, those fields are left null.
+ * @param  {[Object]}  options  [timeout in milliseconds per query, configure to apply the detected profile]
+ * @return {[Promise]}          [resolves to { modelId, typeId, firmware, maker, model, serial, ... }]
+ */
+Printer.prototype.identify = async function (options) {
+  options = options || {};
+  var self = this;
+  var byte = async function (command) {
+    var response = await request(self, command, function (data) {
+      return data.length >= 1;
+    }, options.timeout);
+    return response[0];
+  };
+  var text = async function (command) {
+    try {
+      var response = await request(self, command, function (data) {
+        var start = data.indexOf(0x5f);
+        return start !== -1 && data.indexOf(0x00, start) !== -1;
+      }, options.timeout);
+      var start = response.indexOf(0x5f);
+      return response.slice(start + 1, response.indexOf(0x00, start)).toString('ascii').trim();
+    } catch (e) {
+      return null;
+    }
+  };
+  var info = {};
+  info.modelId = await byte(_.IDENTIFY.MODEL_ID);
+  info.typeId = await byte(_.IDENTIFY.TYPE_ID);
+  info.multiByte = (info.typeId & 0x01) !== 0;
+  info.cutter = (info.typeId & 0x02) !== 0;
+  info.versionId = await byte(_.IDENTIFY.VERSION_ID);
+  info.firmware = await text(_.IDENTIFY.FIRMWARE);
+  info.maker = await text(_.IDENTIFY.MAKER);
+  info.model = await text(_.IDENTIFY.MODEL);
+  info.serial = await text(_.IDENTIFY.SERIAL);
+
+  var profile = profiles.match([ info.maker, info.model ].filter(Boolean).join(' '));
+  info.detected = profile ? profile.name : null;
+  if (options.configure && profile) this.setProfile(profile);
+  return info;
+};
+
 /**
  * Set character code table
  * @param  {[Number]} codeTable
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.setCharacterCodeTable = function (codeTable) {
+  var table = this.profile.codePages;
+  this._codepage = Object.keys(table).filter(function (name) {
+    return table[name] === codeTable;
+  })[0] || null;
   this.buffer.write(_.ESC);
   this.buffer.write(_.TAB);
   this.buffer.writeUInt8(codeTable);
   return this;
 };
 
+/**
+ * Select a code page by name (ESC t n) and the matching text encoding.
+ * `text()` then switches to another supported code page for characters this one cannot print.
+ * @param  {[String]}  codepage [eg: 'CP437', 'CP858', 'ISO8859-2', see the profile codePages]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.codepage = function (codepage) {
+  var name = codepage.toUpperCase();
+  var n = this.profile.codePages[name];
+  if (n === undefined) {
+    throw new Error('Code page ' + codepage + ' is not supported by printer profile ' + this.profile.name);
+  }
+  if (!iconv.encodingExists(codepages.iconvName(name))) {
+    throw new Error('Code page ' + codepage + ' has no matching encoding');
+  }
+  this.setCharacterCodeTable(n);
+  this.encoding = codepages.iconvName(name);
+  return this;
+};
+
 /**
  * Fix bottom margin
  * @param  {[String]} size
@@ -105,7 +368,15 @@ Printer.prototype.marginRight = function (size) {
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.print = function (content) {
+  var start = this.buffer.size;
   this.buffer.write(content);
+  if (this._reversed) {
+    // remember where each line ends, see upsideDown()
+    var data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    for (var i = data.indexOf(0x0a); ~i; i = data.indexOf(0x0a, i + 1)) {
+      this._reversed.breaks.push({ offset: start + i + 1, style: currentStyle(this) });
+    }
+  }
   return this;
 };
 /**
@@ -133,7 +404,7 @@ Printer.prototype.newLine = function () {
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.text = function (content, encoding) {
-  return this.print(iconv.encode(content + _.EOL, encoding || this.encoding));
+  return this.print(encodeText(this, content + _.EOL, encoding));
 };
 
 
@@ -157,131 +428,493 @@ Printer.prototype.drawLine = function () {
 
 
 /**
- * [function Print  table   with End Of Line]
- * @param  {[List]}  data  [mandatory]
- * @param  {[String]}  encoding [optional]
- * @return {[Printer]} printer  [the escpos printer instance]
+ * Characters that may not start a line (closing brackets, CJK punctuation, small kana)
+ * @type {RegExp}
  */
-Printer.prototype.table = function (data, encoding) {
+const NO_LINE_START = /^[)\]}>,.:;!?%、。，．・：；？！）］｝〉》」』】〕〗〙〟’”｠»ゝゞーァィゥェォッャュョヮヵヶぁぃぅぇぉっゃゅょゎゕゖ々〻‐゠–〜～]$/;
+
+/**
+ * Characters that may not end a line (opening brackets)
+ * @type {RegExp}
+ */
+const NO_LINE_END = /^[(\[{<（［｛〈《「『【〔〖〘〝‘“｟«]$/;
+
+/**
+ * [split text into the pieces lines break between: words, runs of spaces and single wide characters]
+ * @param  {[String]}  text    [a single line of text]
+ * @param  {[String]}  wrap    [word, or char: every character is a piece]
+ * @param  {[Boolean]} kinsoku [keep closing punctuation with the character before it, opening brackets with the one after]
+ * @return {[Array]}           [{ kind: word, space or wide, text }]
+ */
+function lineTokens(text, wrap, kinsoku) {
+  var tokens = [];
+  var glue = false;
+  Array.from(text).forEach(function (ch) {
+    var kind = ch === ' ' ? 'space' : utils.charWidth(ch) > 1 ? 'wide' : 'word';
+    var last = tokens[tokens.length - 1];
+    if (kinsoku && last && kind !== 'space' && last.kind !== 'space' && (glue || NO_LINE_START.test(ch))) {
+      last.text += ch;
+    } else if (wrap !== 'char' && last && last.kind === kind && kind !== 'wide') {
+      last.text += ch;
+    } else {
+      tokens.push({ kind: kind, text: ch });
+    }
+    glue = NO_LINE_END.test(ch);
+  });
+  return tokens;
+}
 
+/**
+ * [split a cell into lines of at most `width` columns]
+ * @param  {[String]} text     [description]
+ * @param  {[Number]} width    [columns]
+ * @param  {[String]} wrap     [word (default): at spaces and between wide characters, char: anywhere, truncate: a single line]
+ * @param  {[String]} ellipsis [appended to truncated text]
+ * @return {[Array]}           [lines]
+ */
+function wrapCell(text, width, wrap, ellipsis) {
+  text = String(text === undefined || text === null ? '' : text);
+  if (wrap === 'truncate') {
+    text = text.replace(/\r?\n/g, ' ');
+    if (utils.textWidth(text) <= width) return [ text ];
+    ellipsis = ellipsis || '';
+    var line = '', used = utils.textWidth(ellipsis);
+    Array.from(text).some(function (ch) {
+      used += utils.charWidth(ch);
+      if (used > width) return true;
+      line += ch;
+    });
+    return [ line + ellipsis ];
+  }
+  var lines = [];
+  text.split(/\r?\n/).forEach(function (paragraph) {
+    var line = '', used = 0;
+    lineTokens(paragraph, wrap).map(function (token) { return token.text; }).forEach(function (token) {
+      var tokenWidth = utils.textWidth(token);
+      if (used + tokenWidth <= width) {
+        line += token;
+        used += tokenWidth;
+        return;
+      }
+      if (/^ +$/.test(token)) return;
+      if (line.trim()) lines.push(line.replace(/ +$/, ''));
+      line = '';
+      used = 0;
+      // words wider than the column break anywhere
+      Array.from(token).forEach(function (ch) {
+        var w = utils.charWidth(ch);
+        if (used + w > width && line) {
+          lines.push(line);
+          line = '';
+          used = 0;
+        }
+        line += ch;
+        used += w;
+      });
+    });
+    lines.push(line.replace(/ +$/, ''));
+  });
+  return lines;
+}
 
-  var cellWidth = this.width / data.length;
-  var lineTxt = "";
+/**
+ * [pad a line to `width` columns]
+ * @param  {[String]} line  [description]
+ * @param  {[Number]} width [columns]
+ * @param  {[String]} align [left, center or right]
+ * @return {[String]}       [description]
+ */
+function alignCell(line, width, align) {
+  var space = Math.max(0, width - utils.textWidth(line));
+  var left = align === 'right' ? space : align === 'center' ? Math.floor(space / 2) : 0;
+  return ' '.repeat(left) + line + ' '.repeat(space - left);
+}
 
-  for (var i = 0; i < data.length; i++) {
+/**
+ * [normalized alignment name]
+ * @param  {[String]} align [left, center, right, lt, ct, rt, in any case]
+ * @return {[String]}       [left, center or right]
+ */
+function alignment(align) {
+  align = String(align || 'left').toLowerCase();
+  return { lt: 'left', ct: 'center', rt: 'right' }[align] || align;
+}
 
-    lineTxt += data[i].toString();
+/**
+ * [print rows of text in columns]
+ * Widths are measured in East Asian display width (wide characters take 2 columns),
+ * the line width follows the current font, `size()` width multiplier and `spacing()`.
+ *
+ * @usage:
+ *   printer.columns([
+ *     [ 'Item', 'Qty', 'Price' ],
+ *     [ '宫保鸡丁 Kung Pao Chicken', 2, '25.00' ]
+ *   ], {
+ *     columns: [ { align: 'left' }, { width: 4, align: 'right' }, { width: 8, align: 'right' } ]
+ *   })
+ *
+ * @param  {[Array]}  rows    [rows of cells; a cell is a text, or { text, align }]
+ * @param  {[Object]} options [
+ *   columns: [{ width, align, wrap, ellipsis }],
+ *     width: columns (>= 1), fraction of the line (< 1), or shared equally when missing,
+ *     align: left (default), center or right,
+ *     wrap: word (default), char or truncate,
+ *     ellipsis: appended to truncated text, true for '...',
+ *   gap: columns between cells (default 1),
+ *   width: columns per line (default from the font and size),
+ *   encoding
+ * ]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.columns = function (rows, options) {
+  options = options || {};
+  if (!Array.isArray(rows[0])) rows = [ rows ];
+  var count = Math.max.apply(null, rows.map(function (row) { return row.length; }));
+  var specs = (options.columns || []).slice(0, count);
+  while (specs.length < count) specs.push({});
+  var gap = options.gap === undefined ? 1 : options.gap;
+  var total = options.width || this.lineColumns();
+  var available = total - gap * (count - 1);
+
+  // fixed and fractional widths first, the rest is shared by the other columns
+  var widths = specs.map(function (spec) {
+    if (!spec.width) return 0;
+    return spec.width < 1 ? Math.floor(available * spec.width) : Math.floor(spec.width);
+  });
+  var free = specs.filter(function (spec) { return !spec.width; }).length;
+  var rest = available - widths.reduce(function (a, b) { return a + b; }, 0);
+  widths = widths.map(function (width, i) {
+    if (specs[i].width) return width;
+    var share = Math.floor(rest / free);
+    rest -= share;
+    free--;
+    return share;
+  });
+  if (widths.some(function (width) { return width < 1; }) ||
+    widths.reduce(function (a, b) { return a + b; }, 0) > available)
+    throw new Error('Columns do not fit in ' + total + ' characters');
 
-    var spaces = cellWidth - data[i].toString().length;
-    for (var j = 0; j < spaces; j++) {
-      lineTxt += " ";
+  var self = this;
+  var space = ' '.repeat(gap);
+  rows.forEach(function (row) {
+    var cells = specs.map(function (spec, i) {
+      var cell = row[i];
+      var text = cell !== null && typeof cell === 'object' ? cell.text : cell;
+      var ellipsis = spec.ellipsis === true ? '...' : spec.ellipsis;
+      return {
+        lines: wrapCell(text, widths[i], spec.wrap || 'word', ellipsis),
+        align: alignment(cell !== null && typeof cell === 'object' && cell.align || spec.align)
+      };
+    });
+    var height = Math.max.apply(null, cells.map(function (cell) { return cell.lines.length; }));
+    for (var l = 0; l < height; l++) {
+      var line = cells.map(function (cell, i) {
+        return alignCell(cell.lines[l] || '', widths[i], cell.align);
+      }).join(space);
+      self.text(line.replace(/ +$/, ''), options.encoding);
+    }
+  });
+  return this;
+};
 
+/**
+ * [break a paragraph into lines]
+ * Lines break at spaces and between wide characters, but not before closing
+ * punctuation or after opening brackets. Words wider than a line break anywhere.
+ * @param  {[String]} text    [a single paragraph]
+ * @param  {[Number]} width   [columns]
+ * @param  {[Object]} options [wrap: word or char, indent, hangingIndent]
+ * @return {[Array]}          [lines, without the indent]
+ */
+function wrapParagraph(text, width, options) {
+  var tokens = lineTokens(text, options.wrap, true);
+  var lines = [];
+  var line = '', used = 0;
+  var room = function () {
+    return Math.max(1, width - (lines.length ? options.hangingIndent : options.indent));
+  };
+  var push = function () {
+    lines.push(line.replace(/ +$/, ''));
+    line = '';
+    used = 0;
+  };
+  tokens.forEach(function (token) {
+    var tokenWidth = utils.textWidth(token.text);
+    if (used + tokenWidth <= room()) {
+      if (token.kind === 'space' && !line) return;
+      line += token.text;
+      used += tokenWidth;
+      return;
+    }
+    if (token.kind === 'space') return push();
+    if (line) push();
+    if (tokenWidth <= room()) {
+      line = token.text;
+      used = tokenWidth;
+      return;
     }
+    Array.from(token.text).forEach(function (ch) {
+      var w = utils.charWidth(ch);
+      if (used + w > room() && line) push();
+      line += ch;
+      used += w;
+    });
+  });
+  if (line || !lines.length) push();
+  return lines;
+}
 
-  }
-  this.buffer.write(iconv.encode(lineTxt + _.EOL, encoding || this.encoding));
+/**
+ * [widen the spaces of a line to fill `width` columns]
+ * @param  {[String]} line  [description]
+ * @param  {[Number]} width [columns]
+ * @return {[String]}       [description]
+ */
+function justifyLine(line, width) {
+  var words = line.split(/ +/);
+  var gaps = words.length - 1;
+  if (!gaps) return line;
+  var extra = width - utils.textWidth(words.join(''));
+  return words.reduce(function (result, word, i) {
+    // the leftmost gaps take the remainder
+    return result + ' '.repeat(Math.floor(extra / gaps) + (i <= extra % gaps ? 1 : 0)) + word;
+  });
+}
 
+/**
+ * [print text wrapped to the line width]
+ * The line width follows the current font, `size()` width multiplier and `spacing()`.
+ * @usage:
+ *   printer.size(2, 2).paragraph('Thank you for shopping with us, see you soon!', { justify: true })
+ * @param  {[String]} text    [paragraphs are separated by \n]
+ * @param  {[Object]} options [
+ *   wrap: word (default) or char,
+ *   indent: columns before the first line of a paragraph,
+ *   hangingIndent: columns before the other lines,
+ *   justify: widen spaces so lines end at the right margin, except the last line,
+ *   width: columns per line (default from the font, size and spacing),
+ *   encoding
+ * ]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.paragraph = function (text, options) {
+  options = Object.assign({ wrap: 'word', indent: 0, hangingIndent: 0 }, options);
+  if (!~[ 'word', 'char' ].indexOf(options.wrap)) throw new Error('Unknown wrap mode: ' + options.wrap);
+  var self = this;
+  var width = options.width || this.lineColumns();
+  String(text).split(/\r?\n/).forEach(function (paragraph) {
+    var lines = wrapParagraph(paragraph, width, options);
+    lines.forEach(function (line, i) {
+      var indent = i ? options.hangingIndent : options.indent;
+      if (options.justify && i < lines.length - 1) line = justifyLine(line, width - indent);
+      self.text(' '.repeat(indent) + line, options.encoding);
+    });
+  });
   return this;
+};
+
+/**
+ * [print a receipt document, see document.schema.json]
+ * @usage:
+ *   await printer.render({ blocks: [ { type: 'text', text: 'Hello', align: 'center', bold: true }, { type: 'cut' } ] })
+ * @param  {[Object]} doc [description]
+ * @return {[Promise]}    [resolves with the printer, rejects with the JSON path of the bad block]
+ */
+Printer.prototype.render = async function (doc) {
+  var point = checkpoint(this);
+  try {
+    return await Document.render(this, doc);
+  } catch (e) {
+    // the blocks before the one that failed are not printed either
+    rollback(this, point);
+    throw e;
+  }
+};
 
+/**
+ * [remember the buffer size and the tracked state, see rollback()]
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @return {[Object]}          [description]
+ */
+function checkpoint(printer) {
+  return {
+    size: printer.buffer.size,
+    pauses: printer._pauses.length,
+    style: currentStyle(printer),
+    styles: printer._styles.slice(),
+    reversed: printer._reversed && Object.assign({}, printer._reversed, { breaks: printer._reversed.breaks.slice() }),
+    spacing: printer._spacing,
+    page: printer._page,
+    codepage: printer._codepage,
+    encoding: printer.encoding,
+    width: printer.width
+  };
+}
 
+/**
+ * [drop what was written to the buffer since checkpoint(), and the state it changed]
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @param  {[Object]}  point   [see checkpoint()]
+ */
+function rollback(printer, point) {
+  var data = Buffer.from(printer.buffer.join());
+  printer.buffer.clear();
+  printer.buffer.write(data.slice(0, point.size));
+  printer._pauses = printer._pauses.slice(0, point.pauses);
+  setStyle(printer, point.style);
+  printer._styles = point.styles;
+  printer._reversed = point.reversed;
+  printer._spacing = point.spacing;
+  printer._page = point.page;
+  printer._codepage = point.codepage;
+  printer.encoding = point.encoding;
+  printer.width = point.width;
+}
 
+/**
+ * [print an Epson ePOS-Print XML document]
+ * @usage:
+ *   printer.epos('<epos-print><text em="true">Hello&#10;</text><cut type="feed"/></epos-print>')
+ * @param  {[String]} xml [description]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.epos = function (xml) {
+  EPOS.print(this, xml);
+  return this;
 };
 
-
+/**
+ * [function Print  table   with End Of Line]
+ * @param  {[List]}  data  [mandatory]
+ * @param  {[String]}  encoding [optional]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.table = function (data, encoding) {
+  return this.columns([ data ], {
+    columns: data.map(function () { return { wrap: 'truncate' }; }),
+    gap: 0,
+    encoding: encoding
+  });
+};
 
 /**
  * [function Print  custom table  with End Of Line]
- * @param  {[List]}  data  [mandatory]
+ * @param  {[List]}  data  [mandatory: [{ text, align, width (fraction) or cols }]]
  * @param  {[String]}  encoding [optional]
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.tableCustom = function (data, encoding) {
+  var total = this.lineColumns();
+  return this.columns([ data.map(function (cell) { return String(cell.text); }) ], {
+    columns: data.map(function (cell) {
+      // widths up to 1 are fractions of the line, as they always were: 1 is the whole line
+      var width = cell.width && cell.width <= 1 ? Math.max(1, Math.floor(total * cell.width)) : cell.width;
+      return { width: width || cell.cols, align: cell.align, wrap: 'char' };
+    }),
+    gap: 0,
+    encoding: encoding
+  });
+};
 
-  var cellWidth = this.width / data.length;
-  var secondLine = [];
-  var secondLineEnabled = false;
-  var lineStr = "";
-  for (var i = 0; i < data.length; i++) {
-    var tooLong = false;
-    var obj = data[i];
-    obj.text = obj.text.toString();
-
-    if (obj.width) {
-      cellWidth = this.width * obj.width;
-    } else if (obj.cols) {
-      cellWidth = obj.cols
-    }
-
-
-    // If text is too wide go to next line
-    if (cellWidth < obj.text.length) {
-      tooLong = true;
-      obj.originalText = obj.text;
-      obj.text = obj.text.substring(0, cellWidth - 1);
-    }
-
-    if (obj.align == "CENTER") {
-      var spaces = (cellWidth - obj.text.toString().length) / 2;
-      for (var j = 0; j < spaces; j++) {
-        lineStr += " ";
-      }
-      if (obj.text != '')
-        lineStr += obj.text;
-
-      for (var j = 0; j < spaces - 1; j++) {
-        lineStr += " ";
-      }
+/**
+ * [function Print encoded alpha-numeric text without End Of Line]
+ * @param  {[String]}  content  [mandatory]
+ * @param  {[String]}  encoding [optional]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.pureText = function (content, encoding) {
+  return this.print(encodeText(this, content, encoding));
+};
 
-    } else if (obj.align == "RIGHT") {
-      var spaces = cellWidth - obj.text.toString().length;
-      for (var j = 0; j < spaces; j++) {
-        lineStr += " ";
-      }
-      if (obj.text != '')
-        lineStr += obj.text;
+/**
+ * Markup tags and the style they apply inside their span
+ * @type {Object}
+ */
+const MARKUP_TAGS = {
+  b: { bold: true },
+  strong: { bold: true },
+  i: { italic: true },
+  em: { italic: true },
+  u: { underline: 1 },
+  u2: { underline: 2 },
+  inv: { invert: true },
+  big: { size: [ 2, 2 ] },
+  wide: { size: [ 2, null ] }, // null keeps the size in effect
+  tall: { size: [ null, 2 ] }
+};
 
-    } else {
-      if (obj.text != '')
-        lineStr += obj.text;
+const MARKUP_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
 
-      var spaces = cellWidth - obj.text.toString().length;
-      for (var j = 0; j < spaces; j++) {
-        lineStr += " ";
+/**
+ * [parse markup into spans of text with their style]
+ * @usage:
+ *   parseMarkup('Total: <b>12.00</b>', { bold: false, size: [ 1, 1 ] })
+ *   => [ { text: 'Total: ', style: { bold: false, size: [ 1, 1 ] } }, { text: '12.00', style: { bold: true, size: [ 1, 1 ] } } ]
+ * @param  {[String]} content [description]
+ * @param  {[Object]} style   [style outside of any tag, see currentStyle()]
+ * @return {[Array]}          [spans]
+ */
+function parseMarkup(content, style) {
+  var spans = [];
+  var stack = [ { name: null, style: style } ];
+  var token = /<(\/?)([a-z0-9]+)\s*>|&(#x[0-9a-f]+|#[0-9]+|[a-z]+);|[^<&]+|[<&]/gi;
+  var match;
+  while ((match = token.exec(String(content)))) {
+    var top = stack[stack.length - 1];
+    if (match[2]) {
+      var name = match[2].toLowerCase();
+      if (!MARKUP_TAGS[name]) throw new Error('Unknown markup tag <' + name + '>');
+      if (!match[1]) {
+        var tag = MARKUP_TAGS[name];
+        var next = Object.assign({}, top.style, tag);
+        if (tag.size) next.size = tag.size.map(function (n, i) { return n || top.style.size[i]; });
+        stack.push({ name: name, style: next });
+      } else if (top.name !== name) {
+        throw new Error('Unexpected </' + name + '>' + (top.name ? ', expected </' + top.name + '>' : ''));
+      } else {
+        stack.pop();
       }
-
+      continue;
     }
-
-
-
-    if (tooLong) {
-      secondLineEnabled = true;
-      obj.text = obj.originalText.substring(cellWidth - 1);
-      secondLine.push(obj);
-    } else {
-      obj.text = "";
-      secondLine.push(obj);
+    var text = match[0];
+    if (match[3]) {
+      var entity = match[3].toLowerCase();
+      if (entity[0] === '#') {
+        var code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        if (code > 0x10ffff) throw new Error('Invalid markup character reference ' + match[0]);
+        text = String.fromCodePoint(code);
+      } else if (MARKUP_ENTITIES[entity]) {
+        text = MARKUP_ENTITIES[entity];
+      }
     }
+    var last = spans[spans.length - 1];
+    if (last && last.style === top.style) last.text += text;
+    else spans.push({ text: text, style: top.style });
   }
-  this.buffer.write(iconv.encode(lineStr + _.EOL, encoding || this.encoding));
-
-  // Print the second line
-  if (secondLineEnabled) {
-    return this.tableCustom(secondLine);
-  } else {
-    return this;
-  }
-};
-
-
+  if (stack.length > 1) throw new Error('Unclosed markup tag <' + stack[stack.length - 1].name + '>');
+  return spans;
+}
 
 /**
- * [function Print encoded alpha-numeric text without End Of Line]
+ * [print text with inline markup, with End Of Line]
+ * Tags: <b>, <strong>, <i>, <em>, <u>, <u2>, <inv>, <big> (double width and height),
+ * <wide> and <tall>. Entities: &lt; &gt; &amp; &quot; &apos; and &#N;
+ * The style in effect before a tag is restored at its end.
+ * @usage:
+ *   printer.markup('Total: <b>12.00</b> <u>EUR</u> <big>PAID</big> <inv>VIP</inv>')
  * @param  {[String]}  content  [mandatory]
  * @param  {[String]}  encoding [optional]
  * @return {[Printer]} printer  [the escpos printer instance]
  */
-Printer.prototype.pureText = function (content, encoding) {
-  return this.print(iconv.encode(content, encoding || this.encoding));
+Printer.prototype.markup = function (content, encoding) {
+  var self = this;
+  var base = currentStyle(this);
+  parseMarkup(content, base).forEach(function (span) {
+    switchTo(self, span.style);
+    self.pureText(span.text, encoding);
+  });
+  switchTo(this, base);
+  return this.print(_.EOL);
 };
 
 /**
@@ -291,6 +924,7 @@ Printer.prototype.pureText = function (content, encoding) {
  */
 Printer.prototype.encode = function (encoding) {
   this.encoding = encoding;
+  this._codepage = null;
   return this;
 }
 
@@ -300,8 +934,7 @@ Printer.prototype.encode = function (encoding) {
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.feed = function (n) {
-  this.buffer.write(new Array(n || 1).fill(_.EOL).join(''));
-  return this;
+  return this.print(new Array(n || 1).fill(_.EOL).join(''));
 };
 
 /**
@@ -324,21 +957,21 @@ Printer.prototype.align = function (align) {
   this.buffer.write(_.TEXT_FORMAT[
     'TXT_ALIGN_' + align.toUpperCase()
   ]);
+  this._style.align = align.toUpperCase();
   return this;
 };
 /**
  * [font family]
- * @param  {[type]}    family  [description]
+ * @param  {[type]}    family  [A, B, C, D, E, SPECIAL_A or SPECIAL_B]
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.font = function (family) {
-  this.buffer.write(_.TEXT_FORMAT[
-    'TXT_FONT_' + family.toUpperCase()
-  ]);
-  if (family.toUpperCase() === 'A')
-    this.width = this.options && this.options.width || 42;
-  else
-    this.width = this.options && this.options.width || 56;
+  var command = _.TEXT_FORMAT['TXT_FONT_' + String(family).toUpperCase()];
+  if (!command) throw new Error('Unknown font: ' + family);
+  this.buffer.write(command);
+  this._style.font = family.toUpperCase();
+  this.width = this.options && this.options.width ||
+    this.profile.columns[family.toUpperCase()] || this.profile.columns.A;
   return this;
 };
 /**
@@ -347,6 +980,11 @@ Printer.prototype.font = function (family) {
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.style = function (type) {
+  var styles = [ 'B', 'I', 'U', 'U2', 'BI', 'BIU', 'BIU2', 'BU', 'BU2', 'IU', 'IU2' ];
+  var letters = ~styles.indexOf(type.toUpperCase()) ? type.toUpperCase() : '';
+  this._style.bold = !!~letters.indexOf('B');
+  this._style.italic = !!~letters.indexOf('I');
+  this._style.underline = ~letters.indexOf('U2') ? 2 : ~letters.indexOf('U') ? 1 : 0;
   switch (type.toUpperCase()) {
 
     case 'B':
@@ -417,6 +1055,91 @@ Printer.prototype.style = function (type) {
   return this;
 };
 
+/**
+ * [90 degrees clockwise rotation of characters (ESC V)]
+ * @param  {[Boolean]} enabled [description]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.rotate = function (enabled) {
+  this.buffer.write(enabled ? _.TEXT_FORMAT.TXT_ROTATE_ON : _.TEXT_FORMAT.TXT_ROTATE_OFF);
+  this._style.rotate = !!enabled;
+  return this;
+};
+
+/**
+ * [double-strike printing (ESC G)]
+ * @param  {[Boolean]} enabled [description]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.doubleStrike = function (enabled) {
+  this.buffer.write(enabled ? _.TEXT_FORMAT.TXT_DOUBLE_STRIKE_ON : _.TEXT_FORMAT.TXT_DOUBLE_STRIKE_OFF);
+  this._style.doubleStrike = !!enabled;
+  return this;
+};
+
+/**
+ * [smoothing of enlarged characters (GS b)]
+ * @param  {[Boolean]} enabled [description]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.smooth = function (enabled) {
+  this.buffer.write(enabled ? _.TEXT_FORMAT.TXT_SMOOTH_ON : _.TEXT_FORMAT.TXT_SMOOTH_OFF);
+  this._style.smooth = !!enabled;
+  return this;
+};
+
+/**
+ * [print the lines held since upsideDown(true, { reverseLines: true }) last first]
+ * Each line keeps the formatting it was printed with.
+ * @param  {[Printer]} printer [the escpos printer instance]
+ */
+function releaseLines(printer) {
+  var held = printer._reversed;
+  printer._reversed = null;
+  var data = Buffer.from(printer.buffer.join());
+  var end = currentStyle(printer);
+  var lines = [];
+  var from = held.start, before = held.style;
+  held.breaks.concat({ offset: data.length, style: end }).forEach(function (brk) {
+    if (brk.offset > from) lines.push({ data: data.slice(from, brk.offset), before: before, after: brk.style });
+    from = brk.offset;
+    before = brk.style;
+  });
+  printer.buffer.clear();
+  printer.buffer.write(data.slice(0, held.start));
+  // paced image bands in the held lines are written at once
+  printer._pauses = printer._pauses.filter(function (pause) { return pause.offset <= held.start; });
+  var state = end;
+  lines.reverse().forEach(function (line) {
+    setStyle(printer, state);
+    switchTo(printer, line.before);
+    printer.buffer.write(line.data);
+    state = line.after;
+  });
+  setStyle(printer, state);
+  switchTo(printer, end);
+}
+
+/**
+ * [upside-down printing (ESC {), for printers mounted upside down]
+ * With reverseLines, the lines are held until upside-down printing is turned off
+ * (or hardware('init') is sent, or the buffer is flushed) and printed last first, so the receipt reads top to bottom.
+ * @usage:
+ *   printer.upsideDown(true, { reverseLines: true }).text('first').text('second').upsideDown(false)
+ * @param  {[Boolean]} enabled [description]
+ * @param  {[Object]}  options [reverseLines]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.upsideDown = function (enabled, options) {
+  if (!enabled && this._reversed) releaseLines(this);
+  this.buffer.write(enabled ? _.TEXT_FORMAT.TXT_UPSIDE_DOWN_ON : _.TEXT_FORMAT.TXT_UPSIDE_DOWN_OFF);
+  this._style.upsideDown = !!enabled;
+  if (enabled && options && options.reverseLines && !this._reversed) {
+    this._reversed = { start: this.buffer.size, style: currentStyle(this), breaks: [] };
+  }
+  return this;
+};
+
 /**
  * [font size]
  * @param  {[String]}  width   [description]
@@ -424,7 +1147,14 @@ Printer.prototype.style = function (type) {
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.size = function (width, height) {
+  // character width multiplier, used to lay out columns
+  this._size = [ Math.max(1, width || 1), Math.max(1, height || 1) ];
   if (2 >= width && 2 >= height) {
+    // ESC ! also selects font A and turns bold and underline off
+    this._style.font = 'A';
+    this._style.bold = false;
+    this._style.underline = 0;
+    this.width = this.options && this.options.width || this.profile.columns.A;
     this.buffer.write(_.TEXT_FORMAT.TXT_NORMAL);
     if (2 == width && 2 == height) {
       this.buffer.write(_.TEXT_FORMAT.TXT_4SQUARE);
@@ -445,6 +1175,7 @@ Printer.prototype.size = function (width, height) {
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.spacing = function (n) {
+  this._spacing = n || 0;
   if (n === undefined || n === null) {
     this.buffer.write(_.CHARACTER_SPACING.CS_DEFAULT);
   } else {
@@ -455,39 +1186,243 @@ Printer.prototype.spacing = function (n) {
 }
 
 /**
- * [set line spacing]
- * @param  {[type]} n [description]
- * @return {[Printer]} printer  [the escpos printer instance]
+ * [characters per line with the current font, size() width and spacing()]
+ * The character spacing is doubled with the character width, as on Epson printers.
+ * @return {[Number]} [columns]
  */
-Printer.prototype.lineSpace = function (n) {
-  if (n === undefined || n === null) {
-    this.buffer.write(_.LINE_SPACING.LS_DEFAULT);
-  } else {
-    this.buffer.write(_.LINE_SPACING.LS_SET);
-    this.buffer.writeUInt8(n);
-  }
-  return this;
+Printer.prototype.lineColumns = function () {
+  var dots = this.profile.width;
+  // dots / ((dots / width + spacing) * size), in integers so that eg: 576 dots / 56 columns stays 56
+  return Math.max(1, Math.floor(dots * this.width / ((dots + this._spacing * this.width) * this._size[0])));
 };
 
 /**
- * [hardware]
- * @param  {[type]}    hw       [description]
- * @return {[Printer]} printer  [the escpos printer instance]
+ * [the formatting in effect, as tracked by the printer instance]
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @return {[Object]}          [{ align, font, bold, italic, underline, size, color, invert,
+ *                                 rotate, upsideDown, doubleStrike, smooth }]
  */
-Printer.prototype.hardware = function (hw) {
-  this.buffer.write(_.HARDWARE['HW_' + hw.toUpperCase()]);
-  return this;
-};
+function currentStyle(printer) {
+  return Object.assign({}, printer._style, { size: printer._size.slice() });
+}
+
 /**
- * [barcode]
- * @param  {[type]}    code     [description]
- * @param  {[type]}    type     [description]
- * @param  {[type]}    options  [description]
- * @return {[Printer]} printer  [the escpos printer instance]
+ * [replace the tracked formatting, without writing commands]
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @param  {[Object]}  style   [see currentStyle()]
  */
-Printer.prototype.barcode = function (code, type, options) {
-  options = options || {};
-  var width, height, position, font, includeParity;
+function setStyle(printer, style) {
+  printer._style = Object.assign({}, style);
+  delete printer._style.size;
+  printer._size = style.size.slice();
+}
+
+/**
+ * [normalize the style given to withStyle()]
+ * @param  {[Object]} style [see currentStyle()]
+ * @return {[Object]}       [description]
+ */
+function styleOptions(style) {
+  var result = {};
+  Object.keys(style || {}).forEach(function (key) {
+    var value = style[key];
+    if (value === undefined) return;
+    switch (key) {
+      case 'align':
+        result.align = { left: 'LT', center: 'CT', right: 'RT' }[alignment(value)];
+        if (!result.align) throw new Error('Unknown alignment: ' + value);
+        break;
+      case 'font':
+        result.font = String(value).toUpperCase();
+        break;
+      case 'bold':
+      case 'italic':
+      case 'invert':
+      case 'rotate':
+      case 'upsideDown':
+      case 'doubleStrike':
+      case 'smooth':
+        result[key] = !!value;
+        break;
+      case 'underline':
+        result.underline = value === 2 ? 2 : value ? 1 : 0;
+        break;
+      case 'size':
+        result.size = Array.isArray(value) ? [ value[0] || 1, value[1] || 1 ] : [ value, value ];
+        if (!result.size.every(function (n) { return Number.isInteger(n) && n >= 1 && n <= 8; })) {
+          throw new Error('Size must be between 1 and 8: ' + value);
+        }
+        break;
+      case 'color':
+        result.color = value === 1 ? 1 : 0;
+        break;
+      default:
+        throw new TypeError('Unknown style property: ' + key);
+    }
+  });
+  return result;
+}
+
+/**
+ * [write the commands needed to go from the current formatting to `style`]
+ * The size is set with GS !, as ESC ! would also reset the font, bold and underline.
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @param  {[Object]}  style   [a complete style, see currentStyle()]
+ */
+function switchTo(printer, style) {
+  var current = printer._style;
+  if (printer._size[0] !== style.size[0] || printer._size[1] !== style.size[1]) {
+    printer.buffer.write(_.TEXT_FORMAT.TXT_CUSTOM_SIZE(style.size[0], style.size[1]));
+    printer._size = style.size.slice();
+  }
+  if (current.font !== style.font) printer.font(style.font);
+  if (current.bold !== style.bold) {
+    printer.buffer.write(style.bold ? _.TEXT_FORMAT.TXT_BOLD_ON : _.TEXT_FORMAT.TXT_BOLD_OFF);
+    current.bold = style.bold;
+  }
+  if (current.italic !== style.italic) {
+    printer.buffer.write(style.italic ? _.TEXT_FORMAT.TXT_ITALIC_ON : _.TEXT_FORMAT.TXT_ITALIC_OFF);
+    current.italic = style.italic;
+  }
+  if (current.underline !== style.underline) {
+    printer.buffer.write(style.underline === 2 ? _.TEXT_FORMAT.TXT_UNDERL2_ON :
+      style.underline ? _.TEXT_FORMAT.TXT_UNDERL_ON : _.TEXT_FORMAT.TXT_UNDERL_OFF);
+    current.underline = style.underline;
+  }
+  if (current.align !== style.align) printer.align(style.align);
+  if (current.color !== style.color) printer.color(style.color);
+  if (current.invert !== style.invert) printer.setReverseColors(style.invert);
+  if (current.rotate !== style.rotate) printer.rotate(style.rotate);
+  if (current.doubleStrike !== style.doubleStrike) printer.doubleStrike(style.doubleStrike);
+  if (current.smooth !== style.smooth) printer.smooth(style.smooth);
+  if (current.upsideDown !== style.upsideDown) {
+    // not upsideDown(), held lines are only released by the user
+    printer.buffer.write(style.upsideDown ? _.TEXT_FORMAT.TXT_UPSIDE_DOWN_ON : _.TEXT_FORMAT.TXT_UPSIDE_DOWN_OFF);
+    current.upsideDown = style.upsideDown;
+  }
+}
+
+/**
+ * [remember the current formatting, see restore()]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.save = function () {
+  this._styles.push(currentStyle(this));
+  return this;
+};
+
+/**
+ * [go back to the formatting of the last save(), writing only the commands that differ]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.restore = function () {
+  if (!this._styles.length) throw new Error('restore() without a matching save()');
+  switchTo(this, this._styles.pop());
+  return this;
+};
+
+/**
+ * [print with a style, then go back to the formatting in effect before]
+ * @usage:
+ *   printer.withStyle({ align: 'ct', bold: true, size: [ 2, 2 ] }, p => p.text('TOTAL 12.00'))
+ * @param  {[Object]}   style    [align, font, bold, italic, underline (true or 2), size ([width, height]), color, invert,
+ *                                 rotate, upsideDown, doubleStrike, smooth]
+ * @param  {[Function]} callback [called with the printer, may return a Promise]
+ * @return {[Printer]}  printer  [the escpos printer instance, or a Promise of it when the callback returns one]
+ */
+Printer.prototype.withStyle = function (style, callback) {
+  var self = this;
+  var target = Object.assign(currentStyle(this), styleOptions(style));
+  this.save();
+  var result;
+  try {
+    switchTo(this, target);
+    result = callback(this);
+  } catch (e) {
+    this.restore();
+    throw e;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.then(function () {
+      return self.restore();
+    }, function (e) {
+      self.restore();
+      throw e;
+    });
+  }
+  return this.restore();
+};
+
+/**
+ * [set line spacing]
+ * @param  {[type]} n [description]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.lineSpace = function (n) {
+  if (n === undefined || n === null) {
+    this.buffer.write(_.LINE_SPACING.LS_DEFAULT);
+  } else {
+    this.buffer.write(_.LINE_SPACING.LS_SET);
+    this.buffer.writeUInt8(n);
+  }
+  return this;
+};
+
+/**
+ * [the formatting of a printer just initialized]
+ * @return {[Object]} [see currentStyle(), without the size]
+ */
+function defaultStyle() {
+  return {
+    align: 'LT', font: 'A', bold: false, italic: false, underline: 0, color: 0, invert: false,
+    rotate: false, upsideDown: false, doubleStrike: false, smooth: false
+  };
+}
+
+/**
+ * [forget what ESC @ (or a hardware reset) sets back on the printer]
+ * The printer goes back to standard mode and the default formatting, and selects code table 0 again,
+ * switching code pages carries on from there.
+ * @param  {[Printer]} printer [the escpos printer instance]
+ */
+function reset(printer) {
+  printer._style = defaultStyle();
+  printer._size = [ 1, 1 ];
+  printer._spacing = 0;
+  printer._page = false;
+  printer.width = printer.options && printer.options.width || printer.profile.columns.A;
+  if (printer._codepage) {
+    var table = printer.profile.codePages;
+    printer._codepage = Object.keys(table).filter(function (name) {
+      return table[name] === 0;
+    })[0] || null;
+    if (printer._codepage) printer.encoding = codepages.iconvName(printer._codepage);
+  }
+}
+
+/**
+ * [hardware]
+ * @param  {[type]}    hw       [description]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.hardware = function (hw) {
+  var init = hw.toUpperCase() !== 'SELECT';
+  // ESC @ also turns upside-down printing off, the held lines are printed before it
+  if (init && this._reversed) releaseLines(this);
+  this.buffer.write(_.HARDWARE['HW_' + hw.toUpperCase()]);
+  if (init) reset(this);
+  return this;
+};
+/**
+ * [barcode]
+ * @param  {[type]}    code     [description]
+ * @param  {[type]}    type     [description]
+ * @param  {[type]}    options  [description]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.barcode = function (code, type, options) {
+  options = options || {};
+  var width, height, position, font, includeParity;
   // Backward compatibility
   width = arguments[2];
   if (typeof width === 'string' || typeof width === 'number') {
@@ -514,11 +1449,19 @@ Printer.prototype.barcode = function (code, type, options) {
   if (type === 'EAN8' && convertCode.length !== 7) {
     throw new Error('EAN8 Barcode type requires code length 7');
   }
-  if (this._model === 'qsprinter') {
+  var commands = this.profile.barcodeCommands;
+  var symbology = type.replace('-', '_').toUpperCase();
+  if (!~this.profile.barcodes.indexOf(symbology)) {
+    if (!Barcode.supports(symbology)) {
+      throw new Error('Barcode type ' + type + ' is not supported by printer profile ' + this.profile.name);
+    }
+    return barcodeImage(this, code, symbology, width, height, position);
+  }
+  if (commands.mode) {
     this.buffer.write(_.MODEL.QSPRINTER.BARCODE_MODE.ON);
   }
-  if (this._model === 'qsprinter') {
-    // qsprinter has no BARCODE_WIDTH command (as of v7.5)
+  if (!commands.width) {
+    // no BARCODE_WIDTH command on this printer
   } else if (width >= 1 && width <= 5) {
     this.buffer.write(_.BARCODE_FORMAT.BARCODE_WIDTH[width]);
   } else {
@@ -527,15 +1470,9 @@ Printer.prototype.barcode = function (code, type, options) {
   if (height >= 1 && height <= 255) {
     this.buffer.write(_.BARCODE_FORMAT.BARCODE_HEIGHT(height));
   } else {
-    if (this._model === 'qsprinter') {
-      this.buffer.write(_.MODEL.QSPRINTER.BARCODE_HEIGHT_DEFAULT);
-    } else {
-      this.buffer.write(_.BARCODE_FORMAT.BARCODE_HEIGHT_DEFAULT);
-    }
+    this.buffer.write(_.BARCODE_FORMAT.BARCODE_HEIGHT(commands.height));
   }
-  if (this._model === 'qsprinter') {
-    // Qsprinter has no barcode font
-  } else {
+  if (commands.font) {
     this.buffer.write(_.BARCODE_FORMAT[
       'BARCODE_FONT_' + (font || 'A').toUpperCase()
     ]);
@@ -551,11 +1488,19 @@ Printer.prototype.barcode = function (code, type, options) {
       parityBit = utils.getParityBit(code);
     }
   }
-  if (type == 'CODE128' || type == 'CODE93') {
-    codeLength = utils.codeLength(code);
+  if (symbology === 'CODE128' || symbology === 'GS1_128') {
+    // code sets and FNC1 ~ FNC4 in ESC/POS format, see `Barcode.code128`
+    var data = Buffer.from(symbology === 'GS1_128' ? Barcode.gs1(String(code)) : Barcode.code128(String(code)), 'binary');
+    if (data.length > 255) throw new Error(type + ' Barcode type data is too long');
+    this.buffer.writeUInt8(data.length);
+    this.buffer.write(data);
+  } else {
+    if (type == 'CODE93') {
+      codeLength = utils.codeLength(code);
+    }
+    this.buffer.write(codeLength + code + (includeParity ? parityBit : '') + '\x00'); // Allow to skip the parity byte
   }
-  this.buffer.write(codeLength + code + (includeParity ? parityBit : '') + '\x00'); // Allow to skip the parity byte
-  if (this._model === 'qsprinter') {
+  if (commands.mode) {
     this.buffer.write(_.MODEL.QSPRINTER.BARCODE_MODE.OFF);
   }
   return this;
@@ -563,14 +1508,52 @@ Printer.prototype.barcode = function (code, type, options) {
 
 /**
  * [print qrcode]
+ * The command set is chosen by the profile `qrcodeCommand`:
+ * 'gsk' (GS ( k, Epson standard), 'gsz' (GS Z / ESC Z) or 'qsprinter'
  * @param  {[type]} code    [description]
- * @param  {[type]} version [description]
- * @param  {[type]} level   [description]
- * @param  {[type]} size    [description]
+ * @param  {[type]} version [1 ~ 40, or options { version, level, size, model }]
+ * @param  {[type]} level   [L, M, Q or H]
+ * @param  {[type]} size    [module size in dots]
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.qrcode = function (code, version, level, size) {
-  if (this._model !== 'qsprinter') {
+  var model;
+  if (version && typeof version === 'object') {
+    level = version.level;
+    size = version.size;
+    model = version.model;
+    version = version.version;
+  }
+  if (!~this.profile.code2d.indexOf('QR')) {
+    throw new Error('QR code is not supported by printer profile ' + this.profile.name);
+  }
+  if (this.profile.qrcodeCommand === 'gsk') {
+    var data = Buffer.from(String(code), 'utf8');
+    level = (level || 'L').toUpperCase();
+    if (!~['L', 'M', 'Q', 'H'].indexOf(level)) {
+      throw new Error('QR code error correction level must be one of L, M, Q, H');
+    }
+    if (version !== undefined && version !== null && !(version >= 1 && version <= 40)) {
+      throw new Error('QR code version must be between 1 and 40');
+    }
+    var capacity = utils.qrCapacity(version || 40, level);
+    if (data.length < 1 || data.length > capacity) {
+      throw new Error('Invalid code length in byte. Must be between 1 and ' + capacity +
+        ' for version ' + (version || 40) + ' level ' + level);
+    }
+    this.buffer.write(_.QRCODE_FORMAT.MODEL);
+    this.buffer.writeUInt8(model === 1 ? _.QRCODE_FORMAT.MODEL_1 : _.QRCODE_FORMAT.MODEL_2);
+    this.buffer.writeUInt8(0);
+    this.buffer.write(_.QRCODE_FORMAT.SIZE);
+    this.buffer.writeUInt8(Math.min(Math.max(size || 6, 1), 16));
+    this.buffer.write(_.QRCODE_FORMAT.LEVEL);
+    this.buffer.writeUInt8(_.QRCODE_FORMAT['LEVEL_' + level]);
+    this.buffer.write(_.QRCODE_FORMAT.STORE);
+    this.buffer.writeUInt16LE(data.length + 3);
+    this.buffer.write(_.QRCODE_FORMAT.STORE_FN);
+    this.buffer.write(data);
+    this.buffer.write(_.QRCODE_FORMAT.PRINT);
+  } else if (this.profile.qrcodeCommand === 'gsz') {
     this.buffer.write(_.CODE2D_FORMAT.TYPE_QR);
     this.buffer.write(_.CODE2D_FORMAT.CODE2D);
     this.buffer.writeUInt8(version || 3);
@@ -626,6 +1609,96 @@ Printer.prototype.qrcode = function (code, version, level, size) {
   return this;
 };
 
+/**
+ * [check a 2D symbol option is in range]
+ * @param  {[String]} name  [option name, for the error message]
+ * @param  {[Number]} value [description]
+ * @param  {[Number]} min   [description]
+ * @param  {[Number]} max   [description]
+ * @return {[Number]}       [the value]
+ */
+function range(name, value, min, max) {
+  if (!(value >= min && value <= max)) {
+    throw new Error(name + ' must be between ' + min + ' and ' + max);
+  }
+  return value;
+}
+
+/**
+ * [print pdf417 with the printer's native command (GS ( k)]
+ * @param  {[String]}  code     [description]
+ * @param  {[Object]}  options  [columns, rows, width, rowHeight, errorLevel, truncated]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.pdf417 = function (code, options) {
+  options = options || {};
+  if (!~this.profile.code2d.indexOf('PDF417')) {
+    throw new Error('PDF417 is not supported by printer profile ' + this.profile.name);
+  }
+  var data = Buffer.from(String(code), 'utf8');
+  range('PDF417 data length', data.length, 1, 1108);
+  var rows = options.rows || 0;
+  if (rows !== 0) range('PDF417 rows', rows, 3, 90);
+  this.buffer.write(_.PDF417_FORMAT.COLUMNS);
+  this.buffer.writeUInt8(range('PDF417 columns', options.columns || 0, 0, 30));
+  this.buffer.write(_.PDF417_FORMAT.ROWS);
+  this.buffer.writeUInt8(rows);
+  this.buffer.write(_.PDF417_FORMAT.WIDTH);
+  this.buffer.writeUInt8(range('PDF417 width', options.width || 3, 2, 8));
+  this.buffer.write(_.PDF417_FORMAT.ROW_HEIGHT);
+  this.buffer.writeUInt8(range('PDF417 row height', options.rowHeight || 3, 2, 8));
+  this.buffer.write(_.PDF417_FORMAT.LEVEL);
+  this.buffer.writeUInt8(0x30 + range('PDF417 error level', options.errorLevel === undefined ? 1 : options.errorLevel, 0, 8));
+  this.buffer.write(_.PDF417_FORMAT.OPTIONS);
+  this.buffer.writeUInt8(options.truncated ? 1 : 0);
+  this.buffer.write(_.PDF417_FORMAT.STORE);
+  this.buffer.writeUInt16LE(data.length + 3);
+  this.buffer.write(_.PDF417_FORMAT.STORE_FN);
+  this.buffer.write(data);
+  this.buffer.write(_.PDF417_FORMAT.PRINT);
+  return this;
+};
+
+/**
+ * [print datamatrix with the printer's native command (GS ( k)]
+ * @param  {[String]}  code     [description]
+ * @param  {[Object]}  options  [size: columns of a square symbol or [columns, rows] of an ECC200 symbol, 0 for auto; moduleSize: dots]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.datamatrix = function (code, options) {
+  options = options || {};
+  if (!~this.profile.code2d.indexOf('DATAMATRIX')) {
+    throw new Error('DataMatrix is not supported by printer profile ' + this.profile.name);
+  }
+  var data = Buffer.from(String(code), 'utf8');
+  range('DataMatrix data length', data.length, 1, 1556);
+  var size = Array.isArray(options.size) ? options.size : [ options.size || 0, options.size || 0 ];
+  var columns = range('DataMatrix columns', size[0], 0, 144);
+  var rows = range('DataMatrix rows', size[1], 0, 144);
+  if (columns || rows) {
+    var capacity = utils.dataMatrixCapacity(columns, rows);
+    if (!capacity) {
+      throw new Error('DataMatrix size ' + columns + 'x' + rows + ' is not an ECC200 symbol size');
+    }
+    if (data.length > capacity) {
+      throw new Error('Invalid code length in byte. Must be between 1 and ' + capacity +
+        ' for DataMatrix size ' + columns + 'x' + rows);
+    }
+  }
+  this.buffer.write(_.DATAMATRIX_FORMAT.TYPE);
+  this.buffer.writeUInt8(columns === rows ? _.DATAMATRIX_FORMAT.TYPE_SQUARE : _.DATAMATRIX_FORMAT.TYPE_RECTANGLE);
+  this.buffer.writeUInt8(columns);
+  this.buffer.writeUInt8(rows);
+  this.buffer.write(_.DATAMATRIX_FORMAT.SIZE);
+  this.buffer.writeUInt8(range('DataMatrix module size', options.moduleSize || 3, 2, 16));
+  this.buffer.write(_.DATAMATRIX_FORMAT.STORE);
+  this.buffer.writeUInt16LE(data.length + 3);
+  this.buffer.write(_.DATAMATRIX_FORMAT.STORE_FN);
+  this.buffer.write(data);
+  this.buffer.write(_.DATAMATRIX_FORMAT.PRINT);
+  return this;
+};
+
 /**
  * [print qrcode image]
  * @param  {[type]}   content  [description]
@@ -650,64 +1723,374 @@ Printer.prototype.qrimage = function (content, options, callback) {
   return this;
 };
 
+/**
+ * Mark the end of a block that is written to the adapter on its own:
+ * `flush()` writes the next block `delay` ms after the adapter called back for this one.
+ * The callback only means the data was handed to the OS, the delay is what gives the printer time.
+ * Adapters whose write() takes no callback get the whole buffer at once.
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @param  {[Number]}  delay   [ms]
+ */
+function pace(printer, delay) {
+  printer._pauses.push({ offset: printer.buffer.size, delay: delay || 0 });
+}
+
+/**
+ * [band and delay of an image output]
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @param  {[Object]}  options [band, delay]
+ * @return {[Object]}          [{ band: rows, 0 for the whole image, delay: ms }]
+ */
+function pacing(printer, options) {
+  var band = options.band === undefined ? printer.profile.imageBand : options.band;
+  var delay = options.delay === undefined ? printer.profile.imageDelay : options.delay;
+  return { band: band || 0, delay: delay || 0 };
+}
+
 /**
  * [image description]
  * @param  {[type]} image   [description]
- * @param  {[type]} density [description]
+ * @param  {[type]} density [density, or options: { density, fit, band, delay }]
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.image = async function (image, density) {
+  return bitImage(this, image, density);
+};
+
+/**
+ * [write an image as bit images (ESC *), see image()]
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @param  {[Image]}   image   [description]
+ * @param  {[type]}    density [density, or options: { density, fit, band, delay }]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+function bitImage(printer, image, density) {
   if (!(image instanceof Image))
     throw new TypeError('Only escpos.Image supported');
-  density = density || 'd24';
+  var options = typeof density === 'object' && density || {};
+  density = options.density || (typeof density === 'string' && density) || 'd24';
+  // single density prints every dot twice as wide
+  if (options.fit) image = image.fit(printer.profile.width / (density[0] === 's' ? 2 : 1));
   var n = !!~['d8', 's8'].indexOf(density) ? 1 : 3;
   var header = _.BITMAP_FORMAT['BITMAP_' + density.toUpperCase()];
   var bitmap = image.toBitmap(n * 8);
-  var self = this;
-
-  // added a delay so the printer can process the graphical data
-  // when connected via slower connection ( e.g.: Serial)
-  this.lineSpace(0); // set line spacing to 0
-  bitmap.data.forEach(async (line) => {
-    self.buffer.write(header);
-    self.buffer.writeUInt16LE(line.length / n);
-    self.buffer.write(line);
-    self.buffer.write(_.EOL);
-    await new Promise((resolve, reject) => {
-      setTimeout(() => { resolve(true) }, 200);
-    });
+  var paced = pacing(printer, options);
+  // lines per band, a band holds at least one line
+  var lines = Math.max(1, Math.floor(paced.band / (n * 8)));
+
+  printer.lineSpace(0); // set line spacing to 0
+  bitmap.data.forEach(function (line, i) {
+    printer.buffer.write(header);
+    printer.buffer.writeUInt16LE(line.length / n);
+    printer.buffer.write(line);
+    printer.buffer.write(_.EOL);
+    // let the printer process the graphical data when connected via slower connection ( e.g.: Serial)
+    if (paced.band && (i + 1) % lines === 0 && i + 1 < bitmap.data.length) pace(printer, paced.delay);
   });
-  return this.lineSpace();
-};
+  return printer.lineSpace();
+}
 
 /**
  * [raster description]
  * @param  {[type]} image [description]
- * @param  {[type]} mode  [description]
+ * @param  {[type]} mode  [mode, or options: { mode, fit, band, delay }]
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.raster = function (image, mode) {
   if (!(image instanceof Image))
     throw new TypeError('Only escpos.Image supported');
-  mode = mode || 'normal';
+  var options = typeof mode === 'object' && mode || {};
+  mode = options.mode || (typeof mode === 'string' && mode) || 'normal';
+  if (this.profile.imageCommand === 'bitmap') {
+    // no GS v 0 on this printer, 8-dot bit images are supported everywhere
+    return bitImage(this, image, Object.assign({}, options, { density: 'd8' }));
+  }
   if (mode === 'dhdw' ||
     mode === 'dwh' ||
     mode === 'dhw') mode = 'dwdh';
+  if (options.fit) image = image.fit(this.profile.width / (~mode.indexOf('dw') ? 2 : 1));
   var raster = image.toRaster();
   var header = _.GSV0_FORMAT['GSV0_' + mode.toUpperCase()];
-  this.buffer.write(header);
-  this.buffer.writeUInt16LE(raster.width);
-  this.buffer.writeUInt16LE(raster.height);
+  var paced = pacing(this, options);
+  var band = paced.band || raster.height;
+  for (var y = 0; y < raster.height; y += band) {
+    var rows = Math.min(band, raster.height - y);
+    if (y) pace(this, paced.delay);
+    this.buffer.write(header);
+    this.buffer.writeUInt16LE(raster.width);
+    this.buffer.writeUInt16LE(rows);
+    this.buffer.write(raster.data.slice(y * raster.width, (y + rows) * raster.width));
+  }
+  return this;
+};
+
+/**
+ * [print text in a TrueType / OpenType font, rendered into an image]
+ * @param  {[String]} text    [multiple lines are separated by \n, long lines are wrapped]
+ * @param  {[Object]} options [font, size, align, bold, lineHeight, see Font.render; and the raster options]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.renderText = function (text, options) {
+  options = Object.assign({ width: this.profile.width }, options);
+  return this.raster(Font.render(text, options), options);
+};
+
+/**
+ * [print an image in black and red, see Image.prototype.separate]
+ * Printers without a second color (profile color false) print the whole image in black.
+ * @param  {[Image]}  image   [description]
+ * @param  {[Object]} options [mode, fit, band, delay]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.colorImage = function (image, options) {
+  if (!(image instanceof Image))
+    throw new TypeError('Only escpos.Image supported');
+  options = options || {};
+  if (!this.profile.color) return this.raster(image, options);
+  var scale = graphicsScale(options.mode);
+  if (options.fit) image = image.fit(this.profile.width / scale[0]);
+  var planes = image.separate();
+  var paced = pacing(this, options);
+  var self = this;
+  if (this.profile.imageCommand === 'bitmap') {
+    // each 8-dot line is printed twice, in black then in red from the start of the line again
+    var black = planes.black.toBitmap(8).data;
+    var red = planes.red.toBitmap(8).data;
+    var lines = Math.max(1, Math.floor(paced.band / 8));
+    this.lineSpace(0);
+    black.forEach(function (line, i) {
+      self.buffer.write(_.COLOR[0]);
+      self.buffer.write(_.BITMAP_FORMAT.BITMAP_D8);
+      self.buffer.writeUInt16LE(line.length);
+      self.buffer.write(line);
+      self.buffer.write(_.ABSOLUTE_POSITION);
+      self.buffer.writeUInt16LE(0);
+      self.buffer.write(_.COLOR[1]);
+      self.buffer.write(_.BITMAP_FORMAT.BITMAP_D8);
+      self.buffer.writeUInt16LE(red[i].length);
+      self.buffer.write(red[i]);
+      self.buffer.write(_.EOL);
+      if (paced.band && (i + 1) % lines === 0 && i + 1 < black.length) pace(self, paced.delay);
+    });
+    this.buffer.write(_.COLOR[0]);
+    return this.lineSpace();
+  }
+  var rasters = [ planes.black.toRaster(), planes.red.toRaster() ];
+  var width = rasters[0].width, height = rasters[0].height;
+  var band = paced.band || height;
+  for (var y = 0; y < height; y += band) {
+    var rows = Math.min(band, height - y);
+    if (y) pace(this, paced.delay);
+    rasters.forEach(function (raster, color) {
+      // bx by c xL xH yL yH
+      var length = 10 + width * rows;
+      if (length > 0xffff) {
+        self.buffer.write(_.GRAPHICS.STORE_LARGE);
+        self.buffer.writeUInt32LE(length);
+      } else {
+        self.buffer.write(_.GRAPHICS.STORE);
+        self.buffer.writeUInt16LE(length);
+      }
+      self.buffer.write(_.GRAPHICS.STORE_FN);
+      self.buffer.writeUInt8(scale[0]);
+      self.buffer.writeUInt8(scale[1]);
+      self.buffer.writeUInt8(color ? _.GRAPHICS.COLOR_2 : _.GRAPHICS.COLOR_1);
+      self.buffer.writeUInt16LE(image.size.width);
+      self.buffer.writeUInt16LE(rows);
+      self.buffer.write(raster.data.slice(y * width, (y + rows) * width));
+    });
+    this.buffer.write(_.GRAPHICS.PRINT);
+  }
+  return this;
+};
+
+/**
+ * [check a NV graphics key code]
+ * @param  {[String]} key [2 printable ASCII characters]
+ * @return {[String]}     [the key]
+ */
+function logoKey(key) {
+  if (typeof key !== 'string' || !/^[\x20-\x7e]{2}$/.test(key))
+    throw new Error('Logo key must be 2 printable ASCII characters');
+  return key;
+}
+
+/**
+ * [scale of NV or buffered graphics from a raster mode]
+ * @param  {[String]} mode [normal, dw, dh or dwdh]
+ * @return {[Array]}       [horizontal and vertical scale, 1 or 2]
+ */
+function graphicsScale(mode) {
+  mode = mode || 'normal';
+  if (mode === 'dhdw' || mode === 'dwh' || mode === 'dhw') mode = 'dwdh';
+  if (!~[ 'normal', 'dw', 'dh', 'dwdh' ].indexOf(mode))
+    throw new Error('Unknown logo mode: ' + mode);
+  return [ ~mode.indexOf('dw') ? 2 : 1, ~mode.indexOf('dh') ? 2 : 1 ];
+}
+
+/**
+ * [write every logo of the printer at once with FS q]
+ * Images are stored column by column, their size rounded up to 8 dots.
+ * @param  {[Printer]} printer [the escpos printer instance]
+ */
+function storeBitImages(printer) {
+  printer.buffer.write(_.NV_BIT_IMAGE.STORE);
+  printer.buffer.writeUInt8(printer._logos.length);
+  printer._logos.forEach(function (logo) {
+    var x = Math.ceil(logo.image.size.width / 8);
+    var y = Math.ceil(logo.image.size.height / 8);
+    if (x > 1023 || y > 288) throw new Error('Logo is too large: ' + logo.key);
+    var bitmap = logo.image.toBitmap(y * 8).data[0];
+    printer.buffer.writeUInt16LE(x);
+    printer.buffer.writeUInt16LE(y);
+    printer.buffer.write(bitmap);
+    // pad the last columns
+    printer.buffer.write(new Array((x * 8 - logo.image.size.width) * y).fill(0));
+  });
+}
+
+/**
+ * [store an image in the printer NV memory]
+ * NV memory wears out, store logos once (eg: at setup) rather than before every receipt.
+ * Printers without GS ( L (profile nvGraphics 'fsq') replace all their images at once,
+ * all the logos stored with this printer instance are sent again.
+ * @param  {[String]} key   [2 printable ASCII characters, eg: 'LG']
+ * @param  {[Image]}  image [description]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.storeLogo = function (key, image) {
+  if (!(image instanceof Image))
+    throw new TypeError('Only escpos.Image supported');
+  var method = this.profile.nvGraphics;
+  if (method === 'fsq') {
+    this._logos = this._logos.filter(function (logo) {
+      return logo.key !== key;
+    }).concat({ key: key, image: image });
+    storeBitImages(this);
+    return this;
+  }
+  if (method !== 'gsl') throw new Error('NV graphics not supported by printer profile: ' + this.profile.name);
+  logoKey(key);
+  var width = range('Logo width', image.size.width, 1, 8192);
+  var height = range('Logo height', image.size.height, 1, 2304);
+  var raster = image.toRaster();
+  // fn a kc1 kc2 b xL xH yL yH c
+  var length = 11 + raster.data.length;
+  if (length > 0xffff) {
+    this.buffer.write(_.NV_GRAPHICS.STORE_LARGE);
+    this.buffer.writeUInt32LE(length);
+  } else {
+    this.buffer.write(_.NV_GRAPHICS.STORE);
+    this.buffer.writeUInt16LE(length);
+  }
+  this.buffer.write(_.NV_GRAPHICS.STORE_FN);
+  this.buffer.write(key);
+  this.buffer.writeUInt8(1); // single color
+  this.buffer.writeUInt16LE(width);
+  this.buffer.writeUInt16LE(height);
+  this.buffer.writeUInt8(0x31); // color 1
   this.buffer.write(raster.data);
   return this;
 };
 
+/**
+ * [print an image stored with storeLogo]
+ * @param  {[String]} key  [description]
+ * @param  {[String]} mode [normal, dw, dh or dwdh]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.printLogo = function (key, mode) {
+  var scale = graphicsScale(mode);
+  var method = this.profile.nvGraphics;
+  if (method === 'fsq') {
+    var n = this._logos.map(function (logo) {
+      return logo.key;
+    }).indexOf(key) + 1;
+    // logos stored by another session are printed by number
+    if (!n && typeof key === 'number') n = key;
+    if (!n) throw new Error('Unknown logo: ' + key);
+    this.buffer.write(_.NV_BIT_IMAGE.PRINT);
+    this.buffer.writeUInt8(n);
+    this.buffer.writeUInt8((scale[0] - 1) | (scale[1] - 1) << 1);
+    return this;
+  }
+  if (method !== 'gsl') throw new Error('NV graphics not supported by printer profile: ' + this.profile.name);
+  this.buffer.write(_.NV_GRAPHICS.PRINT);
+  this.buffer.write(logoKey(key));
+  this.buffer.writeUInt8(scale[0]);
+  this.buffer.writeUInt8(scale[1]);
+  return this;
+};
+
+/**
+ * [delete a stored image, or all of them when no key is given]
+ * @param  {[String]} key [description]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.deleteLogo = function (key) {
+  var method = this.profile.nvGraphics;
+  if (method === 'fsq') {
+    this._logos = key === undefined ? [] : this._logos.filter(function (logo) {
+      return logo.key !== key;
+    });
+    storeBitImages(this);
+    return this;
+  }
+  if (method !== 'gsl') throw new Error('NV graphics not supported by printer profile: ' + this.profile.name);
+  if (key === undefined) {
+    this.buffer.write(_.NV_GRAPHICS.DELETE_ALL);
+  } else {
+    this.buffer.write(_.NV_GRAPHICS.DELETE);
+    this.buffer.write(logoKey(key));
+  }
+  return this;
+};
+
+/**
+ * [keys of the images stored in the printer]
+ * Printers without GS ( L cannot be asked, the logos stored with this printer instance are listed.
+ * @param  {[Object]} options [timeout]
+ * @return {[Promise]}        [[key]]
+ */
+Printer.prototype.listLogos = async function (options) {
+  options = options || {};
+  if (this.profile.nvGraphics === 'fsq') {
+    return this._logos.map(function (logo) {
+      return logo.key;
+    });
+  }
+  if (this.profile.nvGraphics !== 'gsl') throw new Error('NV graphics not supported by printer profile: ' + this.profile.name);
+  var keys = [];
+  var command = _.NV_GRAPHICS.KEY_LIST;
+  for (;;) {
+    // 37h 72h status [kc1 kc2]... 00h, status 41h when more blocks follow
+    var response = await request(this, command, function (data) {
+      var start = data.indexOf(0x37);
+      return start !== -1 && data.indexOf(0x00, start + 3) !== -1;
+    }, options.timeout);
+    var start = response.indexOf(0x37);
+    var block = response.slice(start + 3, response.indexOf(0x00, start + 3)).toString('ascii');
+    for (var i = 0; i + 1 < block.length; i += 2) keys.push(block.substr(i, 2));
+    if (response[start + 2] !== 0x41) return keys;
+    command = _.NV_GRAPHICS.ACK;
+  }
+};
+
 /**
  * [function Send pulse to kick the cash drawer]
  * @param  {[type]} pin [description]
+ * @param  {[Number]} time [pulse length in ms, 2 ~ 510, optional]
  * @return {[Printer]} printer  [the escpos printer instance]
  */
-Printer.prototype.cashdraw = function (pin) {
+Printer.prototype.cashdraw = function (pin, time) {
+  if (time !== undefined) {
+    var t = range('Pulse time', Math.round(time / 2), 1, 255);
+    this.buffer.write(_.CASH_DRAWER.CD_KICK);
+    this.buffer.writeUInt8(pin === 5 ? 1 : 0);
+    this.buffer.writeUInt8(t);
+    this.buffer.writeUInt8(t);
+    return this;
+  }
   this.buffer.write(_.CASH_DRAWER[
     'CD_KICK_' + (pin || 2)
   ]);
@@ -726,27 +2109,259 @@ Printer.prototype.beep = function (n, t) {
   return this;
 };
 
+/**
+ * Query the real-time printer status (DLE EOT 1 ~ 4)
+ * The adapter must support reading, see `Adapter.prototype.read`.
+ * @param  {[Object]}  options  [timeout in milliseconds per query]
+ * @return {[Promise]}          [resolves to { online, coverOpen, paperEnd, paperNearEnd, drawerOpen, cutterError, ... }]
+ */
+Printer.prototype.getStatus = async function (options) {
+  options = options || {};
+  var commands = [ _.STATUS.PRINTER, _.STATUS.OFFLINE, _.STATUS.ERROR, _.STATUS.PAPER ];
+  var bytes = [];
+  for (var i = 0; i < commands.length; i++) {
+    var response = await request(this, commands[i], function (data) {
+      return data.length >= 1;
+    }, options.timeout);
+    bytes.push(response[0]);
+  }
+  return status.decode(bytes);
+};
+
+/**
+ * Enable Automatic Status Back (GS a n), the printer then pushes its status
+ * whenever it changes and the printer emits `status`, `paper-near-end`, `paper-end`,
+ * `cover-open`, `drawer-open`, `drawer-close`, `offline` and `recovered` events.
+ * Takes effect once the buffer is flushed, the adapter must support reading.
+ * @param  {[Number|Object]} flags [bit mask, or { drawer, online, error, paper }, default all]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.enableStatusBack = function (flags) {
+  var n = 0;
+  if (typeof flags === 'number') {
+    n = flags;
+  } else if (flags) {
+    Object.keys(flags).forEach(function (name) {
+      if (!~[ 'drawer', 'online', 'error', 'paper' ].indexOf(name.toLowerCase())) {
+        throw new Error('Unknown status back flag: ' + name);
+      }
+      if (flags[name]) n |= _.AUTO_STATUS_BACK[name.toUpperCase()];
+    });
+  } else {
+    n = _.AUTO_STATUS_BACK.ALL;
+  }
+  if (!readable(this.adapter)) throw new Error('Adapter does not support reading');
+  listen(this);
+  this._statusBack = n !== 0;
+  this._status = null;
+  this.buffer.write(_.AUTO_STATUS_BACK.ASB_SET);
+  this.buffer.writeUInt8(n & 0xff);
+  return this;
+};
+
+/**
+ * Disable Automatic Status Back (GS a 0)
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.disableStatusBack = function () {
+  this._statusBack = false;
+  this._statusBackBuffer = null;
+  this.buffer.write(_.AUTO_STATUS_BACK.ASB_SET);
+  this.buffer.writeUInt8(0);
+  return this;
+};
+
 /**
  * Send data to hardware and flush buffer
  * @param  {Function} callback
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.flush = function (callback) {
+  var reversed = !!this._reversed;
+  if (reversed) releaseLines(this);
   var buf = this.buffer.flush();
-  this.adapter.write(buf, callback);
+  // lines printed after the flush are reversed on their own
+  if (reversed) this._reversed = { start: 0, style: currentStyle(this), breaks: [] };
+  var pauses = this._pauses;
+  this._pauses = [];
+  // blocks are only paced through adapters taking a callback: write(data, callback)
+  if (!pauses.length || this.adapter.write.length < 2) {
+    this.adapter.write(buf, callback);
+    return this;
+  }
+  // write the paced blocks one after another
+  var adapter = this.adapter;
+  var start = 0;
+  (function next(i) {
+    var pause = pauses[i];
+    var end = pause ? pause.offset : buf.length;
+    adapter.write(buf.slice(start, end), function (err) {
+      start = end;
+      if (err || !pause) return callback && callback(err);
+      setTimeout(next, pause.delay, i + 1);
+    });
+  })(0);
+  return this;
+};
+
+/**
+ * Print directions of ESC T, by name
+ * @type {Object}
+ */
+const PAGE_DIRECTIONS = { ltr: 0, btt: 1, rtl: 2, ttb: 3 };
+
+/**
+ * [write a 16 bit position parameter]
+ * @param  {[Printer]} printer [the escpos printer instance]
+ * @param  {[String]}  command [description]
+ * @param  {[Number]}  n       [dots]
+ * @param  {[Boolean]} signed  [relative positions may be negative]
+ */
+function position(printer, command, n, signed) {
+  var min = signed ? -32768 : 0, max = signed ? 32767 : 65535;
+  if (!(Number.isInteger(n) && n >= min && n <= max)) {
+    throw new Error('Position must be an integer between ' + min + ' and ' + max);
+  }
+  printer.buffer.write(command);
+  if (signed) printer.buffer.writeInt16LE(n);
+  else printer.buffer.writeUInt16LE(n);
+}
+
+/**
+ * [enter page mode, see printPage()]
+ * Text, barcodes, QR codes and images are laid out in the page area until it is printed.
+ * @usage:
+ *   printer.pageMode({ width: 576, height: 400 })
+ *     .moveTo(0, 40).text('Admit one')
+ *     .moveTo(400, 0).qrcode('TICKET-0042')
+ *     .printPage().standardMode()
+ * @param  {[Object]} options [
+ *   x, y: origin of the page area in dots (default 0),
+ *   width: dots (default the rest of the line),
+ *   height: dots (required),
+ *   direction: ltr (default), btt, rtl or ttb, or 0 ~ 3 as for ESC T
+ * ]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.pageMode = function (options) {
+  options = options || {};
+  if (!this.profile.pageMode) throw new Error('Page mode is not supported by printer profile ' + this.profile.name);
+  var x = options.x || 0, y = options.y || 0;
+  var width = options.width || this.profile.width - x;
+  if (!options.height) throw new Error('Page mode requires the height of the page area');
+  var area = [ x, y, width, options.height ];
+  if (!area.every(function (n) { return Number.isInteger(n) && n >= 0 && n <= 65535; })) {
+    throw new Error('Page area must be integers between 0 and 65535');
+  }
+  var direction = pageDirection(options.direction || 0);
+  this.buffer.write(_.PAGE_MODE.ENTER);
+  this._page = true;
+  this.buffer.write(_.PAGE_MODE.DIRECTION);
+  this.buffer.writeUInt8(direction);
+  this.buffer.write(_.PAGE_MODE.AREA);
+  area.forEach(function (n) {
+    this.buffer.writeUInt16LE(n);
+  }, this);
+  return this;
+};
+
+/**
+ * [print direction in page mode (ESC T)]
+ * @param  {[String]}  direction [ltr: left to right from the top left corner, btt: bottom to top from the bottom left,
+ *                                rtl: right to left from the bottom right, ttb: top to bottom from the top right, or 0 ~ 3]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.printDirection = function (direction) {
+  var n = pageDirection(direction);
+  this.buffer.write(_.PAGE_MODE.DIRECTION);
+  this.buffer.writeUInt8(n);
+  return this;
+};
+
+/**
+ * [the ESC T value of a print direction]
+ * @param  {[String]} direction [see printDirection()]
+ * @return {[Number]}           [0 ~ 3]
+ */
+function pageDirection(direction) {
+  var n = typeof direction === 'number' ? direction : PAGE_DIRECTIONS[String(direction).toLowerCase()];
+  if (!~[ 0, 1, 2, 3 ].indexOf(n)) throw new Error('Unknown print direction: ' + direction);
+  return n;
+}
+
+/**
+ * [set the print position (ESC $, and GS $ in page mode)]
+ * @param  {[Number]}  x [dots from the start of the line, skipped when null]
+ * @param  {[Number]}  y [dots from the top of the page area, page mode only]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.moveTo = function (x, y) {
+  if (y !== undefined && y !== null && !this._page) throw new Error('Vertical positions require page mode');
+  if (x !== undefined && x !== null) position(this, _.ABSOLUTE_POSITION, x);
+  if (y !== undefined && y !== null) position(this, _.PAGE_MODE.VERTICAL_ABSOLUTE, y);
+  return this;
+};
+
+/**
+ * [move the print position (ESC \, and GS \ in page mode)]
+ * @param  {[Number]}  dx [dots, negative to the left]
+ * @param  {[Number]}  dy [dots, negative upwards, page mode only]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.moveBy = function (dx, dy) {
+  if (dy && !this._page) throw new Error('Vertical positions require page mode');
+  if (dx) position(this, _.RELATIVE_POSITION, dx, true);
+  if (dy) position(this, _.PAGE_MODE.VERTICAL_RELATIVE, dy, true);
+  return this;
+};
+
+/**
+ * [print the page (ESC FF), the printer stays in page mode with the page data kept]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.printPage = function () {
+  if (!this._page) throw new Error('printPage() requires page mode');
+  this.buffer.write(_.PAGE_MODE.PRINT);
+  return this;
+};
+
+/**
+ * [delete the page data (CAN), the page area and direction are kept]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.cancelPage = function () {
+  if (!this._page) throw new Error('cancelPage() requires page mode');
+  this.buffer.write(_.PAGE_MODE.CANCEL);
+  return this;
+};
+
+/**
+ * [leave page mode (ESC S), the page data not printed is deleted]
+ * @return {[Printer]} printer  [the escpos printer instance]
+ */
+Printer.prototype.standardMode = function () {
+  this.buffer.write(_.PAGE_MODE.EXIT);
+  this._page = false;
   return this;
 };
 
 /**
  * [function Cut paper]
  * @param  {[type]} part [description]
+ * @param  {[Number]} feed [lines fed before the cut, default 3, 0 for none]
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.cut = function (part, feed) {
-  this.feed(feed || 3);
-  this.buffer.write(_.PAPER[
-    part ? 'PAPER_PART_CUT' : 'PAPER_FULL_CUT'
-  ]);
+  if (feed !== 0) this.feed(feed || 3);
+  var cutter = this.profile.cutter;
+  // fall back to the other cut when the printer only supports one of them
+  if (part && !cutter.partial) part = false;
+  if (!part && !cutter.full) part = cutter.partial;
+  if (cutter.full || cutter.partial) {
+    this.buffer.write(_.PAPER[
+      part ? 'PAPER_PART_CUT' : 'PAPER_FULL_CUT'
+    ]);
+  }
   return this;
 };
 
@@ -769,9 +2384,11 @@ Printer.prototype.close = function (callback, options) {
  * @return {[Printer]} printer  [the escpos printer instance]
  */
 Printer.prototype.color = function (color) {
+  if (!this.profile.color) return this;
   this.buffer.write(_.COLOR[
     color === 0 || color === 1 ? color : 0
   ]);
+  this._style.color = color === 1 ? 1 : 0;
   return this;
 };
 
@@ -782,12 +2399,16 @@ Printer.prototype.color = function (color) {
  */
 Printer.prototype.setReverseColors = function (bool) {
   this.buffer.write(bool ? _.COLOR.REVERSE : _.COLOR.UNREVERSE);
+  this._style.invert = !!bool;
   return this;
 };
 
 
 /**
  * [writes a low level command to the printer buffer]
+ * The bytes are not interpreted: formatting they change is not tracked, so withStyle(), restore()
+ * and the layouts may leave it in effect or skip commands they believe already sent.
+ * Use hardware('init') afterwards to get back to a known state.
  *
  * @usage
  * 1) raw('1d:77:06:1d:6b:02:32:32:30:30:30:30:32:30:30:30:35:30:35:00:0a')
@@ -821,120 +2442,79 @@ Printer.prototype.lineTitle = function lineTitle(title, charLength = 2) {
     str += '-';
   }
 
-  return this.align('CT').size(1, 1).text(str);
+  return this.withStyle({ align: 'CT', size: [ 1, 1 ] }, function (printer) {
+    printer.text(str);
+  });
+}
+
+/**
+ * [the first wrapByte / 2 characters of a text longer than wrapByte bytes, and the rest]
+ * @param  {[String]} text     [description]
+ * @param  {[Number]} wrapByte [description]
+ * @return {[Array]}           [[first line, rest or '']]
+ */
+function cutText(text, wrapByte) {
+  text = String(text);
+  if (utils.bytesLength(text) <= wrapByte) return [ text, '' ];
+  return [ text.substring(0, wrapByte / 2), text.substring(wrapByte / 2) ];
 }
 
 /**
  * 文字左右对齐排版打印
  * @param leftStr   左边文本
  * @param rightStr    右边文本
- * @param wrapByte 左边文本多少个字节后折行
+ * @param wrapByte 左边文本多少个字节后折行 (the first wrapByte / 2 characters stay on the line, the rest follows)
  */
 Printer.prototype.controlText = function controlText(leftStr, rightStr, wrapByte = 32) {
-  var l_bytes = utils.bytesLength(leftStr.toString());
-  var r_bytes = utils.bytesLength(rightStr.toString());
-
-  let str = '';
-  let tempStr = '';
-  let leftText = '';
-
-  let spaceLength = 0;
-  if (l_bytes > wrapByte) {
-    tempStr = leftStr.substring(wrapByte / 2, leftStr.length);
-    leftText = leftStr.substring(0, wrapByte / 2);
-    const tempBytes = utils.bytesLength(leftText);
-    spaceLength = this.width - tempBytes - r_bytes;
-
-    for (let i = 0; i < spaceLength; i++) {
-      leftText += ' '
-    }
-    str = leftText + rightStr;
-
-    this.text(str);
-    this.text(tempStr);
-  } else {
-    spaceLength = this.width - l_bytes - r_bytes;
-    leftText = leftStr;
-    for (let i = 0; i< spaceLength; i++) {
-      leftText += ' ';
-    }
-    str = leftText + rightStr;
-    this.text(str);
-  }
+  const left = cutText(leftStr, wrapByte);
+  this.columns([ [ left[0], rightStr ] ], {
+    columns: [ {}, { width: Math.max(1, utils.textWidth(rightStr)), align: 'right' } ],
+    gap: 0
+  });
+  if (left[1]) this.text(left[1]);
   return this;
 }
 
 /**
  * 文字三列布局
- * @param text 文本
- * @param wrapByte 左边文本多少个字节后折行
+ * @param text 文本 { leftTxt, centerTxt, rightTxt, leftSpace }
+ *   centerTxt ends at column leftSpace when given, otherwise the spaces are shared on both sides of it
+ * @param wrapByte 左边文本多少个字节后折行 (the first wrapByte / 2 characters stay on the line, the rest follows)
    */
 Printer.prototype.threeColumnLayout = function threeColumnLayout(text, wrapByte = 32) {
-  const l_bytes = utils.bytesLength(text.leftTxt.toString());
-  const c_bytes = utils.bytesLength(text.centerTxt.toString());
-  const r_bytes = utils.bytesLength(text.rightTxt.toString());
-
-  let str = '';
-  let tempStr = '';
-  let spaceLength = 0;
-  const width = this.width;
-
-  if (l_bytes > wrapByte) {
-    tempStr = text.leftTxt.substring(wrapByte / 2, text.leftTxt.length);
-    str = text.leftTxt.substring(0, wrapByte / 2);
-    const tempBytes = utils.bytesLength(text.leftTxt);
-
-    if (text.leftSpace) {
-      this.text(utils.spaceText(str,text.rightTxt, width));
-    } else {
-      spaceLength = (width - tempBytes - c_bytes - r_bytes) / 2;
-      spaceLength = Number(Math.round(spaceLength))
-
-      for (let i = 0; i < spaceLength; i++) {
-        str += ' '
-      }
-      str = str + text.centerTxt
-      
-      for (let i = 0; i < spaceLength; i++) {
-        str += ' '
-      }
-      str = str + text.rightTxt;
-      this.text(str);
-    }
-    this.text(tempStr);
+  const total = this.lineColumns();
+  const left = cutText(text.leftTxt, wrapByte);
+  const leftWidth = utils.textWidth(left[0]);
+  const centerWidth = utils.textWidth(text.centerTxt);
+  const rightWidth = utils.textWidth(text.rightTxt);
+  let columns, width = total;
+  if (text.leftSpace) {
+    columns = [
+      { width: Math.max(1, text.leftSpace - centerWidth) },
+      { width: Math.max(1, centerWidth) },
+      { align: 'right' }
+    ];
   } else {
-    str = text.leftTxt;
-
-    if (text.leftSpace) {
-      const txtL = utils.spaceText(str, text.centerTxt, text.leftSpace)
-      const txt = utils.spaceText(txtL, text.rightTxt, width);
-      
-      this.text(txt);
-    } else {
-      spaceLength = (width - l_bytes - c_bytes - r_bytes) / 2;
-      spaceLength = Number(Math.floor(spaceLength))
-      
-      for (let i = 0; i< spaceLength; i++) {
-        str+=' '
-      }
-      str = str + text.centerTxt
-      for(let i = 0; i< spaceLength; i++) {
-        str+=' ';
-      }
-
-      str = str + text.rightTxt;
-      this.text(str);
-    }
+    const spaceLength = Math.max(0, Math.floor((total - leftWidth - centerWidth - rightWidth) / 2));
+    columns = [
+      { width: Math.max(1, leftWidth + spaceLength) },
+      { width: Math.max(1, centerWidth + spaceLength) },
+      { width: Math.max(1, rightWidth) }
+    ];
+    // like before, texts wider than the line run over it rather than throw
+    width = Math.max(total, columns.reduce((sum, column) => sum + column.width, 0));
   }
-     
+  this.columns([ [ left[0], text.centerTxt, text.rightTxt ] ], { columns: columns, gap: 0, width: width });
+  if (left[1]) this.text(left[1]);
   return this;
 }
 
 /**
  * 四列表格布局
+ * Columns 2 ~ 4 are right-aligned under the end of their header.
+ * The former third argument (wrapByte) is ignored, the first column wraps at its width.
  * @param {{text:string; space?:number}[]} thead 表头
  * @param {Tbody[]} tbody  内容
- * @param wrapByte 折行字节
  * @interface Tbody {
  * title?:string;
  * col1:string;
@@ -943,66 +2523,23 @@ Printer.prototype.threeColumnLayout = function threeColumnLayout(text, wrapByte
  * col4:string;
  * }
  */
-Printer.prototype.fourColumnLayout = function (thead, tbody, wrapByte = 16) {
-  // const width = this.width;
-  if (thead && thead.length > 0) {
-
-    const th1_length = utils.bytesLength(thead[0].text.toString()) + utils.bytesLength(thead[1].text.toString()) + thead[0].space;
-    const th2_length = th1_length + thead[1].space + utils.bytesLength(thead[1].text.toString());
-    const th3_length = th2_length + thead[2].space + utils.bytesLength(thead[2].text.toString());
-    
-    
-    let h_str = thead[0].text;
-
-    for(let i = 0;i < thead[0].space; i++) {
-      h_str+=' '
-    }
-    h_str = h_str + thead[1].text;
-    for(let i = 0; i< thead[1].space; i++) {
-      h_str+=' '
-    }
-    h_str = h_str + thead[2].text;
-    for(let i = 0;i < thead[2].space; i++) {
-      h_str+=' '
-    }
-    h_str = h_str + thead[3].text;
-
-    this.text(h_str);
-
-    tbody.forEach((itemx,index)=>{
-      
-      let txt1 = '';
-      
-      const firstTxtBytes = utils.bytesLength(itemx.col1.toString());
-      let tempStr = '';
-      if (firstTxtBytes > wrapByte) {
-        tempStr = itemx.col1.substring(wrapByte / 2, itemx.col1.length);
-        const subStr = itemx.col1.substring(0, wrapByte/2);
-        txt1 = utils.spaceText(subStr, itemx.col2, th1_length);
-      } else {
-        txt1 = utils.spaceText(itemx.col1, itemx.col2, th1_length);
-      }
-
-      if (itemx.title) {
-        this.align('LT').text(itemx.title)
-      }
-      const txt2 = utils.spaceText(txt1, itemx.col3, th2_length);
-      const txt3 = utils.spaceText(txt2, itemx.col4, th3_length);
-      if (itemx.options) {
-        this.text(txt3)
-      } else {
-        this.text(txt3)
-      }
-      if (tempStr != '') {
-        if (itemx.options) {
-          this.text(tempStr)
-        } else {
-          this.text(tempStr)
-        }  
-      }
-    })
-
-  }
+Printer.prototype.fourColumnLayout = function (thead, tbody) {
+  if (!thead || !thead.length) return this;
+  const columns = thead.map((th, i) => {
+    const width = utils.textWidth(th.text);
+    if (!i) return { width: Math.max(1, width + (th.space || 0)) };
+    // the space after the first header belongs to the first column
+    const before = i > 1 ? thead[i - 1].space || 0 : 0;
+    return { width: Math.max(1, before + width), align: 'right' };
+  });
+  // like threeColumnLayout(), headers wider than the line run over it rather than throw
+  const width = Math.max(this.lineColumns(), columns.reduce((sum, column) => sum + column.width, 0));
+  const options = { columns: columns, gap: 0, width: width };
+  this.columns([ thead.map(th => th.text) ], options);
+  tbody.forEach(item => {
+    if (item.title) this.align('LT').text(item.title);
+    this.columns([ [ item.col1, item.col2, item.col3, item.col4 ] ], options);
+  });
   return this;
 }
 
@@ -1012,6 +2549,11 @@ Printer.prototype.fourColumnLayout = function (thead, tbody, wrapByte = 16) {
  */
 Printer.Printer = Printer;
 Printer.Image = require('./image');
+Printer.profiles = require('./profiles');
+Printer.Barcode = require('./barcode');
+Printer.Font = require('./font');
+Printer.Document = require('./document');
+Printer.EPOS = require('./epos');
 Printer.command = require('./commands');
 Printer.Printer2 = require('./promisify');
 
@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Code pages selectable with ESC t n on Epson-compatible printers
+ * [name => n]
+ * @type {Object}
+ */
+const EPSON_CODE_PAGES = {
+  'CP437': 0,
+  'CP850': 2,
+  'CP860': 3,
+  'CP863': 4,
+  'CP865': 5,
+  'CP857': 13,
+  'CP737': 14,
+  'ISO8859-7': 15,
+  'CP1252': 16,
+  'CP866': 17,
+  'CP852': 18,
+  'CP858': 19,
+  'CP720': 32,
+  'CP775': 33,
+  'CP855': 34,
+  'CP861': 35,
+  'CP862': 36,
+  'CP864': 37,
+  'CP869': 38,
+  'ISO8859-2': 39,
+  'ISO8859-15': 40,
+  'CP1125': 44,
+  'CP1250': 45,
+  'CP1251': 46,
+  'CP1253': 47,
+  'CP1254': 48,
+  'CP1255': 49,
+  'CP1256': 50,
+  'CP1257': 51,
+  'CP1258': 52,
+  'RK1048': 53,
+};
+
+/**
+ * Symbologies printed by GS k on most printers
+ * @type {Array}
+ */
+const BARCODES = [ 'UPC_A', 'UPC_E', 'EAN13', 'EAN8', 'CODE39', 'ITF', 'NW7', 'CODE93', 'CODE128', 'GS1_128' ];
+
+/**
+ * Fields merged with the inherited value instead of replacing it
+ * @type {Array}
+ */
+const MERGED = [ 'columns', 'barcodeCommands', 'cutter' ];
+
+const profiles = {};
+
+/**
+ * [build a profile from the one it extends]
+ * Fields not given are inherited from the profile named by `extends` (default: 'default'),
+ * `columns`, `barcodeCommands` and `cutter` are merged with the inherited ones.
+ *
+ * @param  {[Object]} profile [capabilities]
+ * @param  {[String]} name    [profile name, default `profile.name` or 'custom']
+ * @return {[Object]}         [the complete profile, not registered]
+ */
+exports.create = function (profile, name) {
+  name = name || profile.name || 'custom';
+  const base = name === 'default' ? {} : exports.get(profile.extends || 'default');
+  const result = Object.assign({}, base, { name: name });
+  Object.keys(profile).forEach(function (key) {
+    if (key === 'name') return;
+    result[key] = ~MERGED.indexOf(key) ?
+      Object.assign({}, base[key], profile[key]) : profile[key];
+  });
+  delete result.extends;
+  return result;
+};
+
+/**
+ * [register a printer capability profile, see create()]
+ * @param  {[String]} name    [profile name, eg: 'TM-T88V']
+ * @param  {[Object]} profile [capabilities]
+ * @return {[Object]}         [the registered profile]
+ */
+exports.register = function (name, profile) {
+  profiles[name] = exports.create(profile, name);
+  return profiles[name];
+};
+
+/**
+ * [get a registered profile by name]
+ * @param  {[String]} name [profile name]
+ * @return {[Object]}      [the profile]
+ */
+exports.get = function (name) {
+  const profile = profiles[name];
+  if (!profile) throw new Error('Unknown printer profile: ' + name);
+  return profile;
+};
+
+/**
+ * [list the names of the registered profiles]
+ * @return {[Array]} [description]
+ */
+exports.list = function () {
+  return Object.keys(profiles);
+};
+
+/**
+ * [find the profile matching a maker and model name, as reported by GS I]
+ * @param  {[String]} name [eg: 'EPSON TM-T88V']
+ * @return {[Object]}      [the profile, or null]
+ */
+exports.match = function (name) {
+  const found = Object.keys(profiles).filter(function (key) {
+    return profiles[key].match && profiles[key].match.test(name);
+  })[0];
+  return found ? profiles[found] : null;
+};
+
+/**
+ * Generic Epson-compatible 80mm printer
+ */
+exports.register('default', {
+  vendor: 'Generic',
+  match: null,
+  width: 576, // printable dots per line
+  columns: { A: 42, B: 56 }, // as font() always had, before profiles
+  codePages: EPSON_CODE_PAGES,
+  barcodes: BARCODES,
+  barcodeCommands: {
+    width: true, // GS w
+    font: true, // GS f
+    mode: false, // barcode mode on/off (GS E C n) around GS k
+    height: 100 // default height in dots
+  },
+  code2d: [ 'QR', 'PDF417', 'DATAMATRIX' ],
+  qrcodeCommand: 'gsk', // gsk (GS ( k), gsz (GS Z / ESC Z) or qsprinter
+  cutter: { full: true, partial: true },
+  color: true, // ESC r, ignored by single color printers
+  imageCommand: 'raster', // raster (GS v 0) or bitmap (ESC *)
+  imageBand: 128, // rows written to the adapter at once, 0 for the whole image
+  imageDelay: 100, // ms to wait between bands, about the time a 128-row band takes to print
+  nvGraphics: 'gsl', // logos in NV memory: gsl (GS ( L), fsq (FS q / FS p) or false
+  pageMode: true, // ESC L / ESC W / ESC FF
+});
+
+exports.register('simple', {
+  vendor: 'Generic',
+  width: 384,
+  columns: { A: 32, B: 42 },
+  codePages: { 'CP437': 0 },
+  code2d: [],
+  cutter: { full: false, partial: false },
+  color: false,
+  nvGraphics: 'fsq',
+  pageMode: false,
+});
+
+exports.register('TM-T88V', {
+  vendor: 'Epson',
+  match: /TM-T88V\b/i,
+  width: 512,
+  columns: { A: 42, B: 56 },
+  color: false,
+});
+
+exports.register('TM-T20', {
+  vendor: 'Epson',
+  match: /TM-T20/i,
+  width: 576,
+  columns: { A: 48, B: 64 },
+  color: false,
+});
+
+exports.register('TM-U220', {
+  vendor: 'Epson',
+  match: /TM-U220/i,
+  width: 400,
+  columns: { A: 33, B: 40 },
+  barcodes: [],
+  code2d: [],
+  color: true,
+  imageCommand: 'bitmap',
+  nvGraphics: 'fsq',
+});
+
+exports.register('XP-58', {
+  vendor: 'Xprinter',
+  match: /XP-58/i,
+  width: 384,
+  columns: { A: 32, B: 42 },
+  color: false,
+  nvGraphics: 'fsq',
+});
+
+exports.register('XP-80', {
+  vendor: 'Xprinter',
+  match: /XP-80/i,
+  width: 576,
+  columns: { A: 48, B: 64 },
+  color: false,
+  nvGraphics: 'fsq',
+});
+
+exports.register('qsprinter', {
+  vendor: 'QS',
+  match: /\bqs/i,
+  barcodeCommands: {
+    width: false, // no GS w (as of v7.5)
+    font: false,
+    mode: true,
+    height: 162
+  },
+  qrcodeCommand: 'qsprinter',
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * [test a single bit of a status byte]
+ * @param  {[Number]}  byte [description]
+ * @param  {[Number]}  bit  [description]
+ * @return {[Boolean]}      [description]
+ */
+function isSet(byte, bit) {
+  return (byte & (1 << bit)) !== 0;
+}
+
+/**
+ * [decode the responses of DLE EOT 1, 2, 3 and 4]
+ * @param  {[Array]}  bytes [printer, offline cause, error cause, paper roll sensor]
+ * @return {[Object]}       [decoded printer status]
+ */
+exports.decode = function (bytes) {
+  var printer = bytes[0], offline = bytes[1], error = bytes[2], paper = bytes[3];
+  return {
+    online: !isSet(printer, 3),
+    drawerOpen: isSet(printer, 2), // drawer kick-out connector pin 3 is HIGH
+    coverOpen: isSet(offline, 2),
+    feedButton: isSet(offline, 3),
+    paperEnd: isSet(offline, 5) || isSet(paper, 5) || isSet(paper, 6),
+    paperNearEnd: isSet(paper, 2) || isSet(paper, 3),
+    cutterError: isSet(error, 3),
+    unrecoverableError: isSet(error, 5),
+    autoRecoverableError: isSet(error, 6),
+    raw: bytes
+  };
+};
+
+/**
+ * [is this the first byte of an ASB frame: 0xx1xx00]
+ * @param  {[Number]}  byte [description]
+ * @return {[Boolean]}      [description]
+ */
+exports.isStatusBackHeader = function (byte) {
+  return (byte & 0x93) === 0x10;
+};
+
+/**
+ * [are the 3 trailing bytes of the frame valid: 0xx0xxxx]
+ * @param  {[Buffer]}  frame [4 bytes]
+ * @return {[Boolean]}       [description]
+ */
+exports.isStatusBackFrame = function (frame) {
+  return exports.isStatusBackHeader(frame[0]) &&
+    (frame[1] & 0x90) === 0 &&
+    (frame[2] & 0x90) === 0 &&
+    (frame[3] & 0x90) === 0;
+};
+
+/**
+ * [decode a 4-byte Automatic Status Back frame]
+ * @param  {[Buffer]} frame [description]
+ * @return {[Object]}       [decoded printer status, same shape as `decode`]
+ */
+exports.decodeStatusBack = function (frame) {
+  return {
+    online: !isSet(frame[0], 3),
+    drawerOpen: isSet(frame[0], 2),
+    coverOpen: isSet(frame[0], 5),
+    feedButton: isSet(frame[0], 6),
+    paperEnd: isSet(frame[2], 2) || isSet(frame[2], 3),
+    paperNearEnd: isSet(frame[2], 0) || isSet(frame[2], 1),
+    cutterError: isSet(frame[1], 3),
+    unrecoverableError: isSet(frame[1], 5),
+    autoRecoverableError: isSet(frame[1], 6),
+    raw: Array.prototype.slice.call(frame)
+  };
+};
+
+/**
+ * [does the status report anything that stops printing]
+ * @param  {[Object]}  status [decoded printer status]
+ * @return {[Boolean]}        [description]
+ */
+exports.hasProblem = function (status) {
+  return status.online === false ||
+    !!status.coverOpen ||
+    !!status.paperEnd ||
+    !!status.cutterError ||
+    !!status.unrecoverableError ||
+    !!status.autoRecoverableError;
+};
@@ -0,0 +1,52 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+
+function black(width, height) {
+  return new escpos.Image({ data: new Uint8Array(width * height), shape: [ width, height, 1 ] });
+}
+
+describe('band-split images', function () {
+  it('writes 128 rows at a time by default', function (done) {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.raster(black(8, 130)).flush(function (err) {
+      var written = printer.adapter.written.map(function (data) { return data.toString('hex'); });
+      assert.strictEqual(written.length, 2);
+      assert.strictEqual(written[0], '1d76300001008000' + 'ff'.repeat(128));
+      assert.strictEqual(written[1], '1d76300001000200' + 'ffff');
+      done(err);
+    });
+  });
+
+  it('waits the delay between bands', function (done) {
+    var printer = new escpos.Printer(new StubAdapter());
+    var start = Date.now();
+    printer.raster(black(8, 3), { band: 1, delay: 20 }).flush(function (err) {
+      assert.strictEqual(printer.adapter.written.length, 3);
+      assert.ok(Date.now() - start >= 35);
+      done(err);
+    });
+    // only the first band is written right away
+    assert.strictEqual(printer.adapter.written.length, 1);
+  });
+
+  it('writes the whole image at once to adapters without a callback', function () {
+    var written = [];
+    var printer = new escpos.Printer({ write: function (data) { written.push(data); } });
+    printer.raster(black(8, 130)).flush();
+    assert.strictEqual(written.length, 1);
+  });
+
+  it('writes bit images synchronously on printers without GS v 0', function () {
+    var printer = new escpos.Printer(new StubAdapter(), { profile: { extends: 'default', imageCommand: 'bitmap' } });
+    assert.strictEqual(printer.raster(black(8, 8)), printer);
+    assert.strictEqual(printer.buffer.join().toString('hex'), '1b3300' + '1b2a010800' + 'ff'.repeat(8) + '0a' + '1b32');
+  });
+
+  it('writes the whole image at once with band 0', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.raster(black(8, 130), { band: 0 }).flush();
+    assert.strictEqual(printer.adapter.written.length, 1);
+  });
+});
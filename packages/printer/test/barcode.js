@@ -0,0 +1,52 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+const { output } = require('./support/output');
+
+describe('Barcode.encode()', function () {
+  var Barcode = escpos.Barcode;
+
+  it('encodes EAN and UPC symbols with their check digit', function () {
+    assert.deepStrictEqual(Barcode.encode('9638507', 'EAN8'), {
+      bits: '101' + '0001011' + '0101111' + '0111101' + '0110111' + '01010' +
+        '1001110' + '1110010' + '1000100' + '1011100' + '101',
+      text: '96385074'
+    });
+    var ean13 = Barcode.encode('400638133393', 'EAN13');
+    assert.strictEqual(ean13.text, '4006381333931');
+    assert.strictEqual(ean13.bits.length, 95);
+    assert.strictEqual(Barcode.encode('03600029145', 'UPC_A').text, '036000291452');
+    assert.strictEqual(Barcode.encode('425261', 'UPC_E').text, '04252614');
+  });
+
+  it('encodes CODE39, ITF and NW7', function () {
+    assert.strictEqual(Barcode.encode('A', 'CODE39').bits, '10001011101110101110101000101110100010111011101');
+    assert.strictEqual(Barcode.encode('12', 'ITF').bits, '1010' + '111010001010111000' + '11101');
+    assert.strictEqual(Barcode.encode('1', 'NW7').text, 'A1A');
+  });
+
+  it('encodes CODE128 with its checksum and stop pattern', function () {
+    var result = Barcode.encode('PJJ123C', 'CODE128');
+    assert.strictEqual(result.text, 'PJJ123C');
+    // start B, 7 characters, checksum 55, stop
+    assert.strictEqual(result.bits.slice(0, 11), '11010010000');
+    assert.strictEqual(result.bits.slice(-24), '11101000110' + '1100011101011');
+    assert.strictEqual(result.bits.length, 9 * 11 + 13);
+  });
+
+  it('rejects data the symbology can not encode', function () {
+    assert.throws(function () { Barcode.encode('12a', 'EAN8'); }, /EAN8 Barcode type requires 7 or 8 digits/);
+    assert.throws(function () { Barcode.encode('~', 'CODE39'); }, /CODE39 Barcode type can not encode character: ~/);
+    assert.throws(function () { Barcode.encode('1', 'MAXICODE'); }, /Barcode type MAXICODE can not be rendered/);
+  });
+});
+
+describe('barcode()', function () {
+  it('renders symbologies missing from the profile as raster images', function () {
+    var printer = new escpos.Printer(new StubAdapter(), { profile: { barcodes: [] } });
+    printer.barcode('12', 'ITF', { width: 1, height: 1 });
+    // 2 dots per module: 10 quiet modules, the bars, 10 quiet modules, then the text below
+    assert.strictEqual(output(printer), '1d7630000c0001000000' + '0ccfcc0ccfc0fcc0' + '0000' + '31320a');
+  });
+});
@@ -0,0 +1,45 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+const { output } = require('./support/output');
+
+describe('Barcode.code128()', function () {
+  var code128 = escpos.Barcode.code128;
+
+  it('switches to code set C for runs of digits', function () {
+    assert.strictEqual(code128('No.1234'), '{BNo.{C\x0c\x22');
+    assert.strictEqual(code128('123456789'), '{C\x0c\x22\x38\x4e{B9');
+  });
+
+  it('uses code set A for control characters', function () {
+    assert.strictEqual(code128('AB\x01cd'), '{AAB\x01{Bcd');
+  });
+
+  it('escapes braces and keeps data that already selects a code set', function () {
+    assert.strictEqual(code128('a{b'), '{Ba{{b');
+    assert.strictEqual(code128('{A123'), '{A123');
+  });
+});
+
+describe('Barcode.gs1()', function () {
+  var gs1 = escpos.Barcode.gs1;
+
+  it('starts with FNC1 and separates variable length fields', function () {
+    assert.strictEqual(gs1('(01)09501101530003(10)AB1(17)250101'),
+      '{C{1\x01\x09\x32\x0b\x01\x35\x00\x03\x0a{BAB1{1{C\x11\x19\x01\x01');
+  });
+
+  it('checks fixed length application identifiers', function () {
+    assert.throws(function () { gs1('(01)123'); }, /GS1 application identifier \(01\) requires 14 characters/);
+    assert.throws(function () { gs1('0109501101530003'); }, /GS1-128 Barcode type requires data like/);
+  });
+});
+
+describe('barcode() with CODE128', function () {
+  it('sends the code sets with GS k 73', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.barcode('No.1234', 'CODE128', { height: 50 });
+    assert.strictEqual(output(printer), '1d7701' + '1d6832' + '1d6600' + '1d4802' + '1d6b49' + '09' + '7b424e6f2e7b430c22');
+  });
+});
@@ -0,0 +1,41 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const codepages = require('../codepages');
+const StubAdapter = require('./support/adapter');
+const { output } = require('./support/output');
+
+describe('code pages', function () {
+  it('splits text into runs of one code page', function () {
+    assert.deepStrictEqual(codepages.split('a€Ł', 'CP858', [ 'CP437', 'CP852', 'CP858' ]), [
+      { text: 'a€', codepage: 'CP858' },
+      { text: 'Ł', codepage: 'CP852' }
+    ]);
+  });
+
+  it('selects a code page by name with ESC t n', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.codepage('CP858').text('€');
+    assert.strictEqual(output(printer), '1b7413d50a');
+    assert.throws(function () { printer.codepage('CP999'); }, /not supported by printer profile default/);
+  });
+
+  it('switches code pages for characters the current one cannot print', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.codepage('CP858').text('€ Łódź');
+    assert.strictEqual(output(printer), '1b7413d5201b74129da264ab0a');
+  });
+
+  it('only switches once codepage() was called', function () {
+    var printer = new escpos.Printer(new StubAdapter(), { encoding: 'cp437' });
+    printer.text('é');
+    assert.strictEqual(output(printer), '820a');
+  });
+
+  it('carries on from code table 0 after ESC @', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.codepage('CP858').hardware('init').text('é');
+    assert.strictEqual(output(printer), '1b74131b40820a');
+    assert.strictEqual(printer.encoding, 'cp437');
+  });
+});
@@ -0,0 +1,44 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+const { output } = require('./support/output');
+
+describe('colorImage()', function () {
+  // black, red and white pixels
+  var image = new escpos.Image({ data: new Uint8Array([ 0, 0, 0, 255, 0, 0, 255, 255, 255 ]), shape: [ 3, 1, 3 ] });
+
+  it('separates black and red planes', function () {
+    var planes = image.separate();
+    assert.deepStrictEqual(Array.from(planes.black.data), [ 1, 0, 0 ]);
+    assert.deepStrictEqual(Array.from(planes.red.data), [ 0, 1, 0 ]);
+  });
+
+  it('stores a graphics plane per color with GS ( L, then prints them', function () {
+    var printer = new escpos.Printer(new StubAdapter(), { profile: { color: true } });
+    printer.colorImage(image);
+    assert.strictEqual(output(printer), [
+      '1d284c0b00307030' + '0101' + '31' + '0300' + '0100' + '80', // black
+      '1d284c0b00307030' + '0101' + '32' + '0300' + '0100' + '40', // red
+      '1d284c02003032' // print
+    ].join(''));
+  });
+
+  it('prints every 8-dot line twice on bit image printers', function () {
+    var printer = new escpos.Printer(new StubAdapter(), { profile: 'TM-U220' });
+    printer.colorImage(image);
+    assert.strictEqual(output(printer), [
+      '1b3300', // line spacing 0
+      '1b7200' + '1b2a010300' + '800000', // black
+      '1b240000', // back to the start of the line
+      '1b7201' + '1b2a010300' + '008000', // red
+      '0a1b7200' + '1b32'
+    ].join(''));
+  });
+
+  it('prints in black on single color printers', function () {
+    var printer = new escpos.Printer(new StubAdapter(), { profile: { color: false } });
+    printer.colorImage(image);
+    assert.strictEqual(output(printer), '1d76300001000100' + 'c0');
+  });
+});
@@ -0,0 +1,114 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+const { lines } = require('./support/output');
+
+describe('columns()', function () {
+  it('shares the line between columns and aligns the cells', function () {
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.columns([ [ 'Item', 'Qty', 'Price' ], [ 'Tea', 2, { text: '3.00', align: 'center' } ] ], {
+        columns: [ {}, { width: 4, align: 'right' }, { width: 8, align: 'right' } ], width: 24
+      });
+    }), [ 'Item        Qty    Price', 'Tea           2   3.00' ]);
+  });
+
+  it('measures wide characters as two columns and wraps cells', function () {
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.columns([ [ '宫保鸡丁 Kung Pao Chicken', 2, '25.00' ] ], {
+        columns: [ {}, { width: 4, align: 'right' }, { width: 8, align: 'right' } ], width: 24
+      });
+    }), [ '宫保鸡丁      2    25.00', 'Kung Pao', 'Chicken' ]);
+  });
+
+  it('truncates or breaks anywhere when asked', function () {
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.columns([ 'A very long text', 'x' ], { columns: [ { width: 8, wrap: 'truncate', ellipsis: true }, {} ], width: 12 });
+      printer.columns([ 'abcdefghij', 'z' ], { columns: [ { width: 4, wrap: 'char' }, {} ], width: 8 });
+    }), [ 'A ver... x', 'abcd z', 'efgh', 'ij' ]);
+  });
+
+  it('follows the size() width multiplier', function () {
+    // 42 columns after ESC !, halved by the double width
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.size(2, 1).columns([ 'a', 'b' ]);
+    }), [ '\x1b!\x00\x1b!\x20' + 'a' + ' '.repeat(10) + 'b' ]);
+  });
+
+  it('rejects columns wider than the line', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    assert.throws(function () {
+      printer.columns([ 'a', 'b' ], { columns: [ { width: 30 }, { width: 30 } ] });
+    }, /Columns do not fit in 48 characters/);
+    assert.throws(function () {
+      printer.columns([ 'a', 'b', 'c' ], { columns: [ { width: 40 }, { width: 8 } ] });
+    }, /Columns do not fit in 48 characters/);
+  });
+});
+
+describe('legacy layouts', function () {
+  it('controlText() puts the right text at the end of the line', function () {
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.controlText('Total', '12.50');
+      // longer than wrapByte bytes: wrapByte / 2 characters stay on the line
+      printer.controlText('A long product name that wraps somewhere', '12.50');
+      printer.controlText('宫保鸡丁宫保鸡丁宫保鸡丁宫保鸡丁宫保鸡丁', '25.00');
+    }), [
+      'Total' + ' '.repeat(38) + '12.50',
+      'A long product n' + ' '.repeat(27) + '12.50',
+      'ame that wraps somewhere',
+      '宫保鸡丁宫保鸡丁宫保鸡丁宫保鸡丁' + ' '.repeat(11) + '25.00',
+      '宫保鸡丁'
+    ]);
+  });
+
+  it('threeColumnLayout() spaces the center text evenly, or ends it at leftSpace', function () {
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.threeColumnLayout({ leftTxt: 'Item', centerTxt: 'x2', rightTxt: '5.00' });
+      printer.threeColumnLayout({ leftTxt: 'Items', centerTxt: 'x2', rightTxt: '5.00' });
+      printer.threeColumnLayout({ leftTxt: 'Item', centerTxt: 'x2', rightTxt: '5.00', leftSpace: 30 });
+    }), [
+      'Item' + ' '.repeat(19) + 'x2' + ' '.repeat(19) + '5.00',
+      'Items' + ' '.repeat(18) + 'x2' + ' '.repeat(18) + '5.00',
+      'Item' + ' '.repeat(24) + 'x2' + ' '.repeat(14) + '5.00'
+    ]);
+  });
+
+  it('fourColumnLayout() right-aligns columns 2 ~ 4 under the end of their header', function () {
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.fourColumnLayout([ { text: 'Item', space: 16 }, { text: 'Qty', space: 6 }, { text: 'Price', space: 6 }, { text: 'Total' } ], [
+        { col1: 'Coffee', col2: '2', col3: '3.00', col4: '6.00' },
+        { title: 'Food', col1: 'Bagel', col2: '10', col3: '2.5', col4: '25.00' }
+      ]);
+    }), [
+      'Item                Qty      Price      Total',
+      'Coffee                2       3.00       6.00',
+      '\x1ba\x00Food',
+      'Bagel                10        2.5      25.00'
+    ]);
+  });
+
+  it('fourColumnLayout() lets headers wider than the line run over it', function () {
+    var item = 'Item'.repeat(11);
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.fourColumnLayout([ { text: item, space: 2 }, { text: 'Qty', space: 2 }, { text: 'Price', space: 2 }, { text: 'Total' } ], [
+        { col1: 'Tea', col2: '1', col3: '2', col4: '3' }
+      ]);
+    }), [
+      item + '  Qty  Price  Total',
+      'Tea' + ' '.repeat(45) + '1      2      3'
+    ]);
+  });
+
+  it('tableCustom() takes widths up to 1 as fractions of the line', function () {
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.tableCustom([ { text: 'Total', width: 1 } ]);
+      printer.tableCustom([ { text: 'Left', width: 0.5 }, { text: 'Right', width: 0.5, align: 'RIGHT' } ]);
+      printer.tableCustom([ { text: 'A', width: 0.25 }, { text: 'B', cols: 10, align: 'RIGHT' } ]);
+    }), [
+      'Total',
+      'Left' + ' '.repeat(39) + 'Right',
+      'A' + ' '.repeat(20) + 'B'
+    ]);
+  });
+});
@@ -0,0 +1,52 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+const { output } = require('./support/output');
+
+describe('render()', function () {
+  it('prints the blocks and restores the style after each one', async function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    await printer.render({ blocks: [
+      { type: 'text', text: 'Hi', align: 'center', bold: true },
+      { type: 'divider', char: '=' },
+      { type: 'feed', lines: 2 }
+    ] });
+    assert.strictEqual(output(printer, 'binary'), '\x1bE\x01\x1ba\x01Hi\n\x1bE\x00\x1ba\x00' + '='.repeat(48) + '\n' + '\n\n');
+  });
+
+  it('cuts without feeding with feed 0', async function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    await printer.render({ blocks: [ { type: 'cut', feed: 0 }, { type: 'cut', partial: true } ] });
+    assert.strictEqual(output(printer, 'binary'), '\x1dV\x00' + '\n\n\n\x1dV\x01');
+  });
+
+  it('reports block errors with their path', async function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    await assert.rejects(printer.render({ blocks: [ { type: 'barcode', data: '1', symbology: 'EAN13' } ] }),
+      /Invalid document at \$\.blocks\[0\]: EAN13 Barcode type requires code length 12/);
+  });
+
+  it('leaves nothing of a document that fails in the buffer', async function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.text('before');
+    await assert.rejects(printer.render({ blocks: [
+      { type: 'text', text: 'Hi', bold: true },
+      { type: 'feed', lines: 2 },
+      { type: 'image', src: 'data:image/png;base64,AAAA' }
+    ] }), /Invalid document at \$\.blocks\[2\]/);
+    printer.text('after').style('b');
+    assert.strictEqual(output(printer, 'binary'), 'before\nafter\n\x1bE\x01\x1b5\x1b-\x00');
+  });
+});
+
+describe('Document.validate()', function () {
+  var validate = escpos.Document.validate;
+
+  it('checks the documents against the schema', function () {
+    assert.throws(function () { validate({ blocks: [ { type: 'cut', feed: -1 } ] }); }, /at \$\.blocks\[0\]\.feed: should be >= 0/);
+    assert.throws(function () { validate({ blocks: [ { type: 'text', text: 'x', colour: 1 } ] }); }, /should NOT have additional properties \(colour\)/);
+    assert.throws(function () { validate({ blocks: [ { type: 'text', text: 'x', align: 'middle' } ] }); },
+      /at \$\.blocks\[0\]\.align: should be equal to one of the allowed values: left, center, right/);
+  });
+});
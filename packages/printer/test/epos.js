@@ -0,0 +1,63 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+
+function print(xml) {
+  var printer = new escpos.Printer(new StubAdapter());
+  printer.epos('<epos-print xmlns="http://www.epson-pos.com/schemas/2011/03/epos-print">' + xml + '</epos-print>').flush();
+  return printer.adapter.bytes().toString('hex');
+}
+
+describe('EPOS.parse()', function () {
+  it('builds the element tree, without namespace prefixes', function () {
+    var root = escpos.EPOS.parse('<s:Body><text em="true">a &amp; b&#10;</text><cut/></s:Body>');
+    assert.deepStrictEqual(root.children[0], {
+      name: 'Body', attributes: {}, children: [
+        { name: 'text', attributes: { em: 'true' }, children: [ 'a & b\n' ] },
+        { name: 'cut', attributes: {}, children: [] }
+      ]
+    });
+  });
+
+  it('reports malformed XML', function () {
+    assert.throws(function () { escpos.EPOS.parse('<text>a</feed>'); }, /Malformed XML: unexpected <\/feed>/);
+    assert.throws(function () { escpos.EPOS.parse('<text>a'); }, /Malformed XML: <text> is not closed/);
+    assert.throws(function () { escpos.EPOS.parse('<text>&#xFFFFFFF;</text>'); }, /Malformed XML: invalid character reference &#xFFFFFFF;/);
+    assert.throws(function () { escpos.EPOS.parse('<text>&nbsp;</text>'); }, /Unknown XML entity: &nbsp;/);
+  });
+});
+
+describe('epos()', function () {
+  it('converts text attributes, which stay in effect', function () {
+    assert.strictEqual(print('<text align="center" em="true">A</text><text font="font_d">B</text>'),
+      '1b4501' + '1b35' + '1b2d00' + '1b6101' + '41' + '1b4d03' + '42');
+  });
+
+  it('keeps the font and emphasis when the size changes', function () {
+    assert.strictEqual(print('<text font="font_b" em="true" dw="true">Hi</text>'),
+      '1b2100' + '1b2120' + '1b4d01' + '1b4501' + '1b35' + '1b2d00' + '4869');
+    assert.strictEqual(print('<text ul="true">A</text><text width="3" height="3">B</text>'),
+      '1b4500' + '1b35' + '1b2d01' + '41' + '1d2122' + '42');
+    assert.strictEqual(print('<text ul="true">A</text><text dh="true">B</text>'),
+      '1b4500' + '1b35' + '1b2d01' + '41' + '1b2100' + '1b2110' + '1b4500' + '1b35' + '1b2d01' + '42');
+  });
+
+  it('cuts with or without feeding', function () {
+    assert.strictEqual(print('<cut/><cut type="no_feed"/><cut type="full_cut_no_feed"/>'),
+      '0a0a0a1d5601' + '1d5601' + '1d5600');
+  });
+
+  it('kicks the drawer for the pulse time', function () {
+    assert.strictEqual(print('<pulse drawer="drawer_2" time="pulse_300"/>'), '1b7001' + '9696');
+  });
+
+  it('throws on what it cannot print, with the element position', function () {
+    assert.throws(function () { print('<cut type="reserve"/>'); }, /<cut> at position 0: Unsupported cut type: reserve/);
+    assert.throws(function () { print('<pulse time="pulse_9"/>'); }, /Unknown pulse time: pulse_9/);
+    assert.throws(function () { print('<text width="big"/>'); }, /<text> at position 0: Invalid number: big/);
+    assert.throws(function () { print('<text font="font_z"/>'); }, /Unknown font: font_z/);
+    assert.throws(function () { print('<text width="9"/>'); }, /Invalid text size: 9x1/);
+    assert.throws(function () { print('<page/>'); }, /Unsupported ePOS-Print element <page> at position 0/);
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+const assert = require('assert');
+const opentype = require('opentype.js');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+
+/**
+ * [a font whose X is a full-width box from the baseline up to the ascender]
+ * @return {[Font]} [opentype.js Font]
+ */
+function boxFont() {
+  var glyph = function (name, unicode, box) {
+    var path = new opentype.Path();
+    if (box) {
+      path.moveTo(0, 0);
+      path.lineTo(1000, 0);
+      path.lineTo(1000, 800);
+      path.lineTo(0, 800);
+      path.close();
+    }
+    return new opentype.Glyph({ name: name, unicode: unicode, advanceWidth: 1000, path: path });
+  };
+  var font = new opentype.Font({
+    familyName: 'Box', styleName: 'Regular', unitsPerEm: 1000, ascender: 800, descender: -200,
+    glyphs: [ glyph('.notdef'), glyph('space', 32), glyph('X', 88, true) ]
+  });
+  font.kerningPairs = {};
+  return font;
+}
+
+function row(image, y) {
+  var width = image.size.width;
+  return Array.from(image.data.slice(y * width, (y + 1) * width)).join('');
+}
+
+describe('Font.render()', function () {
+  var font = boxFont();
+
+  it('renders glyphs from the baseline to the ascender', function () {
+    var image = escpos.Font.render('X', { font: font, size: 10, width: 20 });
+    assert.deepStrictEqual(image.size, { width: 20, height: 10, colors: 1 });
+    assert.strictEqual(row(image, 0), '1'.repeat(10) + '0'.repeat(10));
+    assert.strictEqual(row(image, 7), '1'.repeat(10) + '0'.repeat(10));
+    assert.strictEqual(row(image, 8), '0'.repeat(20));
+  });
+
+  it('aligns, thickens and wraps lines', function () {
+    assert.strictEqual(row(escpos.Font.render('X', { font: font, size: 10, width: 20, align: 'right' }), 0), '0'.repeat(10) + '1'.repeat(10));
+    assert.strictEqual(row(escpos.Font.render('X', { font: font, size: 10, width: 20, align: 'center' }), 0), '00000' + '1'.repeat(10) + '00000');
+    assert.strictEqual(row(escpos.Font.render('X', { font: font, size: 24, width: 30, bold: true }), 0), '1'.repeat(25) + '0'.repeat(5));
+    assert.strictEqual(escpos.Font.render('X X X', { font: font, size: 10, width: 25 }).size.height, 30);
+  });
+
+  it('requires a font', function () {
+    assert.throws(function () { escpos.Font.render('X', {}); }, /A font is required to render text/);
+  });
+});
+
+describe('renderText()', function () {
+  it('prints the rendered text with raster() across the profile width', function () {
+    var printer = new escpos.Printer(new StubAdapter(), { profile: { width: 16 } });
+    printer.renderText('X', { font: boxFont(), size: 8 }).flush();
+    assert.strictEqual(printer.adapter.bytes().toString('hex'), '1d76300002000800' + 'ff00'.repeat(6) + '0000'.repeat(2));
+  });
+});
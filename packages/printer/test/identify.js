@@ -0,0 +1,46 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+
+/**
+ * [a printer answering GS I n]
+ * @param  {[Object]} names [n => name, unanswered when missing]
+ * @return {[StubAdapter]}  [description]
+ */
+function identifying(names) {
+  return new StubAdapter(function (data) {
+    var n = data[2];
+    if (n < 0x40) return [ { 1: 0x20, 2: 0x02, 3: 0x41 }[n] ];
+    if (names[n]) return Buffer.concat([ Buffer.from([ 0x5f ]), Buffer.from(names[n]), Buffer.from([ 0 ]) ]);
+  });
+}
+
+describe('identify()', function () {
+  it('queries the ids and names with GS I n', async function () {
+    var adapter = identifying({ 0x41: '30.01 ESC/POS', 0x42: 'EPSON', 0x43: 'TM-T88V', 0x44: 'X1234' });
+    var info = await new escpos.Printer(adapter).identify();
+    assert.deepStrictEqual(adapter.written.map(function (b) { return b.toString('hex'); }),
+      [ '1d4901', '1d4902', '1d4903', '1d4941', '1d4942', '1d4943', '1d4944' ]);
+    assert.strictEqual(info.modelId, 0x20);
+    assert.strictEqual(info.cutter, true);
+    assert.strictEqual(info.multiByte, false);
+    assert.strictEqual(info.firmware, '30.01 ESC/POS');
+    assert.strictEqual(info.serial, 'X1234');
+  });
+
+  it('detects the profile from the maker and model names', async function () {
+    var printer = new escpos.Printer(identifying({ 0x42: 'EPSON', 0x43: 'TM-T88V' }));
+    var info = await printer.identify({ configure: true, timeout: 10 });
+    assert.strictEqual(info.detected, 'TM-T88V');
+    assert.strictEqual(printer.profile.name, 'TM-T88V');
+  });
+
+  it('leaves unanswered names null and keeps the profile', async function () {
+    var printer = new escpos.Printer(identifying({}));
+    var info = await printer.identify({ configure: true, timeout: 10 });
+    assert.strictEqual(info.maker, null);
+    assert.strictEqual(info.detected, null);
+    assert.strictEqual(printer.profile.name, 'default');
+  });
+});
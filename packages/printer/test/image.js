@@ -0,0 +1,124 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+
+function gray(values, width) {
+  return { data: new Uint8Array(values), shape: [ width, values.length / width, 1 ] };
+}
+
+function dots(image) {
+  return Array.from(image.data).join('');
+}
+
+describe('Image conversion', function () {
+  var half = gray(new Array(16).fill(128), 4);
+
+  it('prints pixels darker than the threshold', function () {
+    assert.strictEqual(dots(new escpos.Image(gray([ 127, 128 ], 2))), '10');
+    assert.strictEqual(dots(new escpos.Image(gray([ 127, 128, 200 ], 3), { threshold: 201 })), '111');
+  });
+
+  it('dithers mid tones', function () {
+    assert.strictEqual(dots(new escpos.Image(half)), '0000000000000000');
+    assert.strictEqual(dots(new escpos.Image(half, { dither: 'bayer4' })), '0101101001011010');
+    assert.strictEqual(dots(new escpos.Image(half, { dither: 'floyd-steinberg' })), '0101101001011010');
+    assert.strictEqual(dots(new escpos.Image(half, { dither: 'atkinson' })), '0110100110010110');
+    assert.throws(function () { new escpos.Image(half, { dither: 'noise' }); }, /Unknown dither method: noise/);
+  });
+
+  it('applies gamma and invert, and prints transparent pixels white', function () {
+    assert.strictEqual(dots(new escpos.Image(gray([ 100 ], 1))), '1');
+    assert.strictEqual(dots(new escpos.Image(gray([ 100 ], 1), { gamma: 2 })), '0');
+    assert.strictEqual(dots(new escpos.Image(gray([ 127, 128 ], 2), { invert: true })), '01');
+    assert.strictEqual(dots(new escpos.Image({ data: new Uint8Array([ 0, 0, 0, 0 ]), shape: [ 1, 1, 4 ] })), '0');
+  });
+});
+
+describe('Image resize', function () {
+  // one black and one white pixel
+  var image = new escpos.Image(gray([ 0, 255 ], 2));
+
+  it('keeps the aspect ratio unless told otherwise', function () {
+    assert.deepStrictEqual(image.resize({ width: 4 }).size, { width: 4, height: 2, colors: 4 });
+    assert.deepStrictEqual(image.resize({ width: 4, height: 3, keepAspect: false }).size, { width: 4, height: 3, colors: 4 });
+    assert.deepStrictEqual(image.resize({ width: 16, maxHeight: 2 }).size, { width: 4, height: 2, colors: 4 });
+  });
+
+  it('only shrinks to maxWidth with width \'fit\'', function () {
+    assert.deepStrictEqual(image.resize({ width: 'fit', maxWidth: 1 }).size, { width: 1, height: 1, colors: 4 });
+    assert.deepStrictEqual(image.resize({ width: 'fit', maxWidth: 8 }).size, { width: 2, height: 1, colors: 4 });
+    assert.throws(function () { image.resize({ width: 'fit' }); }, /Image resize width 'fit' requires maxWidth/);
+  });
+
+  it('scales up or down to the printable width with fit', function () {
+    assert.strictEqual(dots(image.fit(8)), '11110000'.repeat(4));
+    assert.deepStrictEqual(image.resize({ width: 32 }).fit(8).size, { width: 8, height: 4, colors: 4 });
+    var printer = new escpos.Printer(new StubAdapter(), { profile: { width: 16 } });
+    printer.raster(image, { fit: true }).flush();
+    assert.strictEqual(printer.adapter.bytes().toString('hex'), '1d76300002000800' + 'ff00'.repeat(8));
+  });
+});
+
+describe('Image.load()', function () {
+  var png = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+  var black = { width: 1, height: 1, data: new Uint8Array([ 0, 0, 0, 255 ]) };
+
+  it('loads buffers, data URIs and RGBA pixels', async function () {
+    assert.deepStrictEqual((await escpos.Image.load(Buffer.from(png, 'base64'))).size, { width: 1, height: 1, colors: 4 });
+    assert.deepStrictEqual((await escpos.Image.load('data:image/png;base64,' + png)).size, { width: 1, height: 1, colors: 4 });
+    assert.strictEqual(dots(await escpos.Image.load(black, { invert: true })), '0');
+  });
+
+  it('rejects unknown sources', async function () {
+    await assert.rejects(escpos.Image.load(Buffer.from('text')), /Unknown image type/);
+    await assert.rejects(escpos.Image.load({ width: 2, height: 1, data: [] }), /Pixels must be \{ width, height, data \}/);
+    await assert.rejects(escpos.Image.load(42), /Unsupported image source/);
+  });
+
+  it('still calls the legacy callback with the image or the error', function (done) {
+    escpos.Image.load(black, function (image) {
+      assert.ok(image instanceof escpos.Image);
+      assert.strictEqual(dots(image), '1');
+      escpos.Image.load(Buffer.from('text'), function (err) {
+        assert.ok(err instanceof Error);
+        assert.match(err.message, /Unknown image type/);
+        done();
+      });
+    });
+  });
+});
+
+describe('Image transforms', function () {
+  // 1 0 0
+  // 1 1 0
+  var image = new escpos.Image(gray([ 0, 255, 255, 0, 0, 255 ], 3));
+
+  function rows(image) {
+    var width = image.size.width, result = [];
+    for (var y = 0; y < image.size.height; y++) result.push(dots({ data: image.data.slice(y * width, (y + 1) * width) }));
+    return result.join('/');
+  }
+
+  it('rotates clockwise and mirrors', function () {
+    assert.strictEqual(rows(image.rotate(90)), '11/10/00');
+    assert.strictEqual(rows(image.rotate(180)), '011/001');
+    assert.strictEqual(rows(image.rotate(-90)), '00/01/11');
+    assert.strictEqual(rows(image.flipX()), '001/011');
+    assert.strictEqual(rows(image.flipY()), '110/100');
+    assert.throws(function () { image.rotate(45); }, /multiple of 90 degrees/);
+  });
+
+  it('inverts, crops, trims and pads', function () {
+    assert.strictEqual(rows(image.invert()), '011/001');
+    assert.strictEqual(rows(image.crop(1, 0, 2, 2)), '00/10');
+    assert.strictEqual(rows(image.pad(1, 2)), '0000000/0010000/0011000/0000000');
+    assert.strictEqual(rows(image.pad(1, 2).trim()), '10/11');
+    assert.strictEqual(rows(image.pad(1, 2).trim(1)), '0000/0100/0110/0000');
+    assert.throws(function () { image.crop(3, 0); }, /Crop area is outside of the image/);
+  });
+
+  it('keeps the dots, so rotated images print as they were converted', function () {
+    assert.deepStrictEqual(image.rotate(90).toRaster(), { data: [ 0xc0, 0x80, 0x00 ], width: 1, height: 3 });
+  });
+});
@@ -0,0 +1,47 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+const { output } = require('./support/output');
+
+describe('NV logos', function () {
+  // one black and one white dot
+  var image = new escpos.Image({ data: new Uint8Array([ 0, 255 ]), shape: [ 2, 1, 1 ] });
+
+  it('stores, prints and deletes with GS ( L', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.storeLogo('LG', image).printLogo('LG', 'dw').deleteLogo('LG').deleteLogo();
+    assert.strictEqual(output(printer), [
+      '1d284c0c00304330' + '4c47' + '01' + '0200' + '0100' + '31' + '80', // store 2 x 1 dots
+      '1d284c06003045' + '4c47' + '0201', // print double width
+      '1d284c04003042' + '4c47', // delete LG
+      '1d284c05003041434c52' // delete all
+    ].join(''));
+  });
+
+  it('checks the keys', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    assert.throws(function () { printer.storeLogo('LOGO', image); }, /Logo key must be 2 printable ASCII characters/);
+    assert.throws(function () { printer.storeLogo('LG', {}); }, /Only escpos.Image supported/);
+  });
+
+  it('lists the stored keys', async function () {
+    var printer = new escpos.Printer(new StubAdapter(function (data) {
+      return data[6] === 0x40 ? Buffer.from('3772404c47414200', 'hex') : null;
+    }));
+    assert.deepStrictEqual(await printer.listLogos(), [ 'LG', 'AB' ]);
+  });
+
+  it('stores every logo again with FS q on older printers', async function () {
+    var printer = new escpos.Printer(new StubAdapter(), { profile: 'XP-58' });
+    printer.storeLogo('LG', image).storeLogo('AB', image).printLogo('AB', 'dh');
+    var bitmap = '0100' + '0100' + '8000000000000000'; // 8 x 8 dots, column by column
+    assert.strictEqual(output(printer), [
+      '1c7101' + bitmap,
+      '1c7102' + bitmap + bitmap,
+      '1c700202' // print logo 2 double height
+    ].join(''));
+    assert.deepStrictEqual(await printer.listLogos(), [ 'LG', 'AB' ]);
+    assert.throws(function () { printer.printLogo('XX'); }, /Unknown logo: XX/);
+  });
+});
@@ -0,0 +1,35 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+const { output } = require('./support/output');
+
+describe('markup()', function () {
+  it('switches the style at the tags and back after them', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.markup('Total: <b>12</b> <big>X</big> <u2>y</u2>');
+    assert.strictEqual(output(printer, 'binary'),
+      'Total: ' + '\x1bE\x0112\x1bE\x00' + ' ' + '\x1d!\x11X\x1d!\x00' + ' ' + '\x1b-\x02y\x1b-\x00' + '\n');
+  });
+
+  it('nests tags and keeps the size of the other axis with <wide> and <tall>', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.markup('<tall><wide>A</wide>B</tall>');
+    assert.strictEqual(output(printer, 'binary'), '\x1d!\x11A\x1d!\x01B\x1d!\x00\n');
+  });
+
+  it('replaces entities and character references', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.markup('&lt;&#65;&#x42;&gt; &amp;');
+    assert.strictEqual(output(printer, 'binary'), '<AB> &\n');
+  });
+
+  it('throws before printing anything', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    assert.throws(function () { printer.markup('<blink>x</blink>'); }, /Unknown markup tag <blink>/);
+    assert.throws(function () { printer.markup('<b>x</i>'); }, /Unexpected <\/i>, expected <\/b>/);
+    assert.throws(function () { printer.markup('<b>x'); }, /Unclosed markup tag <b>/);
+    assert.throws(function () { printer.markup('&#x110000;'); }, /Invalid markup character reference &#x110000;/);
+    assert.strictEqual(output(printer, 'binary'), '');
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+const { printed } = require('./support/output');
+
+describe('pageMode()', function () {
+  it('lays out the page area, prints it and goes back to standard mode', function () {
+    assert.strictEqual(printed(function (printer) {
+      printer.pageMode({ width: 576, height: 400 })
+        .moveTo(0, 40).text('A')
+        .moveBy(-8, 16)
+        .printPage().cancelPage().standardMode();
+    }), '1b4c' + '1b5400' + '1b57' + '0000' + '0000' + '4002' + '9001' +
+      '1b240000' + '1d242800' + '410a' + '1b5cf8ff' + '1d5c1000' + '1b0c' + '18' + '1b53');
+  });
+
+  it('defaults the width to the rest of the line and selects the print direction', function () {
+    assert.strictEqual(printed(function (printer) {
+      printer.pageMode({ x: 8, y: 16, height: 200, direction: 'ttb' });
+    }), '1b4c' + '1b5403' + '1b57' + '0800' + '1000' + '3802' + 'c800');
+  });
+
+  it('checks the page area', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    assert.throws(function () {
+      printer.pageMode({ width: 576 });
+    }, /requires the height of the page area/);
+    assert.throws(function () {
+      printer.pageMode({ width: 70000, height: 10 });
+    }, /Page area must be integers between 0 and 65535/);
+    assert.throws(function () {
+      printer.pageMode({ height: 10, direction: 'up' });
+    }, /Unknown print direction: up/);
+    assert.throws(function () {
+      printer.printDirection('up');
+    }, /Unknown print direction: up/);
+    assert.strictEqual(printer.buffer.size, 0);
+    assert.throws(function () {
+      printer.moveTo(0, 10);
+    }, /Vertical positions require page mode/);
+  });
+
+  it('requires a printer supporting page mode', function () {
+    assert.throws(function () {
+      new escpos.Printer(new StubAdapter(), { profile: 'simple' }).pageMode({ height: 10 });
+    }, /Page mode is not supported by printer profile simple/);
+  });
+});
+
+describe('moveTo() / moveBy()', function () {
+  it('moves horizontally in standard mode', function () {
+    assert.strictEqual(printed(function (printer) {
+      printer.moveTo(10).moveBy(-4);
+    }), '1b240a00' + '1b5cfcff');
+  });
+
+  it('moves vertically in page mode only', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    assert.throws(function () {
+      printer.moveTo(0, 10);
+    }, /Vertical positions require page mode/);
+    assert.throws(function () {
+      printer.moveBy(0, 10);
+    }, /Vertical positions require page mode/);
+    assert.throws(function () {
+      printer.moveTo(-1);
+    }, /Position must be an integer between 0 and 65535/);
+  });
+
+  it('leaves page mode with standardMode() or init', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.pageMode({ height: 10 }).standardMode();
+    assert.throws(function () {
+      printer.printPage();
+    }, /printPage\(\) requires page mode/);
+    printer.pageMode({ height: 10 }).hardware('init');
+    assert.throws(function () {
+      printer.cancelPage();
+    }, /cancelPage\(\) requires page mode/);
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+const { lines } = require('./support/output');
+
+describe('paragraph()', function () {
+  var fox = 'The quick brown fox jumps over the lazy dog';
+
+  it('wraps at word boundaries', function () {
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.paragraph(fox, { width: 16 });
+    }), [ 'The quick brown', 'fox jumps over', 'the lazy dog' ]);
+  });
+
+  it('wraps at any character', function () {
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.paragraph('abcdefghijkl', { width: 5, wrap: 'char' });
+    }), [ 'abcde', 'fghij', 'kl' ]);
+  });
+
+  it('justifies every line but the last one', function () {
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.paragraph(fox, { width: 16, justify: true });
+    }), [ 'The  quick brown', 'fox  jumps  over', 'the lazy dog' ]);
+  });
+
+  it('indents the first line and hangs the others', function () {
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.paragraph('The quick brown fox', { width: 12, indent: 2 });
+    }), [ '  The quick', 'brown fox' ]);
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.paragraph('1. The quick brown fox jumps over', { width: 16, hangingIndent: 3 });
+    }), [ '1. The quick', '   brown fox', '   jumps over' ]);
+  });
+
+  it('keeps closing punctuation off the start of a line', function () {
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.paragraph('这是一个测试。好', { width: 12 });
+    }), [ '这是一个测', '试。好' ]);
+  });
+
+  it('fills the columns of the current font', function () {
+    var words = 'a '.repeat(30).trim();
+    assert.deepStrictEqual(lines(function (printer) {
+      printer.font('b').paragraph(words);
+    }), [ '\x1bM\x01' + 'a '.repeat(28).trim(), 'a a' ]);
+  });
+
+  it('rejects unknown wrap modes', function () {
+    assert.throws(function () {
+      new escpos.Printer(new StubAdapter()).paragraph(fox, { wrap: 'hyphen' });
+    }, /Unknown wrap mode: hyphen/);
+  });
+});
+
+describe('lineColumns()', function () {
+  it('counts the characters of a line for the font, size and spacing', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    assert.strictEqual(printer.lineColumns(), 48);
+    assert.strictEqual(printer.font('b').lineColumns(), 56);
+    assert.strictEqual(printer.font('a').size(2, 2).lineColumns(), 21);
+    assert.strictEqual(printer.size(1, 1).spacing(2).lineColumns(), 36);
+  });
+});
@@ -0,0 +1,37 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const profiles = require('../profiles');
+const StubAdapter = require('./support/adapter');
+
+describe('profiles', function () {
+  it('inherits and merges the fields of the extended profile', function () {
+    var profile = profiles.register('TEST-58', { extends: 'XP-58', cutter: { partial: false } });
+    assert.strictEqual(profile.width, 384);
+    assert.deepStrictEqual(profile.cutter, { full: true, partial: false });
+    assert.strictEqual(profiles.get('TEST-58'), profile);
+    assert.strictEqual(profiles.match('Xprinter XP-58IIH').name, 'XP-58');
+  });
+
+  it('completes profile objects from the default profile', function () {
+    var printer = new escpos.Printer(new StubAdapter(), { profile: { width: 384, columns: { A: 32 } } });
+    assert.strictEqual(printer.profile.name, 'custom');
+    assert.strictEqual(printer.profile.columns.B, 56);
+    assert.strictEqual(printer.profile.qrcodeCommand, 'gsk');
+    assert.strictEqual(printer.width, 32);
+  });
+
+  it('keeps the legacy column counts of the default profile', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    assert.strictEqual(printer.width, 48);
+    assert.strictEqual(printer.font('B').width, 56);
+    assert.strictEqual(printer.font('A').width, 42);
+    assert.strictEqual(new escpos.Printer(new StubAdapter(), { width: 32 }).font('B').width, 32);
+  });
+
+  it('throws on unknown profile names', function () {
+    assert.throws(function () {
+      new escpos.Printer(new StubAdapter(), { profile: 'nope' });
+    }, /Unknown printer profile: nope/);
+  });
+});
@@ -0,0 +1,31 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+const { output } = require('./support/output');
+
+describe('qrcode()', function () {
+  it('prints with GS ( k: model, module size, error level, store and print', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.qrcode('hi', { level: 'm', size: 4, model: 1 });
+    assert.strictEqual(output(printer), [
+      '1d286b04003141' + '3100', // model 1
+      '1d286b03003143' + '04', // module size 4
+      '1d286b03003145' + '31', // level M
+      '1d286b05003150' + '30' + '6869', // store 'hi'
+      '1d286b03003151' + '30' // print
+    ].join(''));
+  });
+
+  it('checks the version and the capacity', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    assert.throws(function () { printer.qrcode('x', 41); }, /version must be between 1 and 40/);
+    assert.throws(function () { printer.qrcode('x'.repeat(3000)); }, /Must be between 1 and 2953 for version 40 level L/);
+    assert.throws(function () { printer.qrcode('x'.repeat(20), 1, 'H'); }, /Must be between 1 and 7 for version 1 level H/);
+  });
+
+  it('throws when the profile has no QR code support', function () {
+    var printer = new escpos.Printer(new StubAdapter(), { profile: 'simple' });
+    assert.throws(function () { printer.qrcode('x'); }, /QR code is not supported by printer profile simple/);
+  });
+});
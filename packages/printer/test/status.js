@@ -0,0 +1,74 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const status = require('../status');
+const StubAdapter = require('./support/adapter');
+
+describe('status', function () {
+  it('decodes the DLE EOT 1 ~ 4 responses', function () {
+    var result = status.decode([ 0x16, 0x16, 0x12, 0x72 ]);
+    assert.strictEqual(result.online, true);
+    assert.strictEqual(result.drawerOpen, true);
+    assert.strictEqual(result.coverOpen, true);
+    assert.strictEqual(result.paperEnd, true);
+    assert.strictEqual(result.cutterError, false);
+    assert.strictEqual(status.hasProblem(result), true);
+    assert.strictEqual(status.hasProblem(status.decode([ 0x12, 0x12, 0x12, 0x12 ])), false);
+  });
+
+  it('queries the printer with DLE EOT n', async function () {
+    var answers = { 1: 0x1a, 2: 0x12, 3: 0x12, 4: 0x12 };
+    var adapter = new StubAdapter(function (data) {
+      return [ answers[data[2]] ];
+    });
+    var result = await new escpos.Printer(adapter).getStatus();
+    assert.deepStrictEqual(adapter.written.map(function (b) { return b.toString('hex'); }),
+      [ '100401', '100402', '100403', '100404' ]);
+    assert.strictEqual(result.online, false);
+    assert.deepStrictEqual(result.raw, [ 0x1a, 0x12, 0x12, 0x12 ]);
+  });
+
+  it('times out when the printer does not answer', async function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    await assert.rejects(printer.getStatus({ timeout: 10 }), /did not respond in time/);
+  });
+
+  it('rejects adapters that cannot read', async function () {
+    var write = function (data, callback) { callback && callback(); };
+    // no read(), not an emitter, or the NotImplemented read() of the base adapter
+    var notImplemented = function () { throw new Error('NotImplementedException'); };
+    notImplemented.notImplemented = true;
+    var adapters = [
+      { write: write },
+      { write: write, read: function () {} },
+      Object.assign(new StubAdapter(), { read: notImplemented })
+    ];
+    for (var i = 0; i < adapters.length; i++) {
+      await assert.rejects(new escpos.Printer(adapters[i]).getStatus(), /Adapter does not support reading/);
+    }
+  });
+
+  it('decodes Automatic Status Back frames and emits events', function () {
+    var adapter = new StubAdapter();
+    var printer = new escpos.Printer(adapter).enableStatusBack();
+    var events = [];
+    [ 'paper-end', 'cover-open' ].forEach(function (name) {
+      printer.on(name, function () { events.push(name); });
+    });
+    printer.flush();
+    assert.strictEqual(adapter.bytes().toString('hex'), '1d610f');
+    // a frame split over two chunks, with unrelated bytes before it
+    adapter.emit('read', Buffer.from([ 0x37, 0x30 ]));
+    adapter.emit('read', Buffer.from([ 0x00, 0x0c, 0x00 ]));
+    assert.deepStrictEqual(events, [ 'paper-end', 'cover-open' ]);
+  });
+
+  it('selects the Automatic Status Back flags', function () {
+    var adapter = new StubAdapter();
+    new escpos.Printer(adapter).enableStatusBack({ paper: true, drawer: true, online: false }).disableStatusBack().flush();
+    assert.strictEqual(adapter.bytes().toString('hex'), '1d61091d6100');
+    assert.throws(function () {
+      new escpos.Printer(new StubAdapter()).enableStatusBack({ papr: true });
+    }, /Unknown status back flag: papr/);
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+const { printed } = require('./support/output');
+
+describe('save() / restore()', function () {
+  it('writes only the commands that differ from the saved formatting', function () {
+    assert.strictEqual(printed(function (printer) {
+      printer.style('b').save().style('u').align('ct').restore();
+    }), '1b45011b351b2d00' + '1b45001b351b2d01' + '1b6101' + '1b45011b2d00' + '1b6100');
+  });
+
+  it('requires a matching save()', function () {
+    assert.throws(function () {
+      new escpos.Printer(new StubAdapter()).restore();
+    }, /restore\(\) without a matching save\(\)/);
+  });
+});
+
+describe('withStyle()', function () {
+  it('switches to the style for the callback and back', function () {
+    assert.strictEqual(printed(function (printer) {
+      printer.align('rt').style('b');
+      printer.withStyle({ align: 'ct', bold: false, size: [ 2, 2 ] }, function (p) {
+        p.text('A');
+      }).text('B');
+    }), '1b6102' + '1b45011b351b2d00' + '1d2111' + '1b4500' + '1b6101' + '410a' +
+      '1d2100' + '1b4501' + '1b6102' + '420a');
+  });
+
+  it('restores the formatting once a returned Promise settles', async function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    await assert.rejects(printer.withStyle({ bold: true }, function () {
+      return Promise.reject(new Error('paper out'));
+    }), /paper out/);
+    printer.flush();
+    assert.strictEqual(printer.adapter.bytes().toString('hex'), '1b4501' + '1b4500');
+  });
+
+  it('rejects sizes the printer cannot select', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    [ 9, 0.5, [ 2, 9 ] ].forEach(function (size) {
+      assert.throws(function () {
+        printer.withStyle({ size: size }, function () {});
+      }, /Size must be between 1 and 8/);
+    });
+    assert.strictEqual(printer.buffer.size, 0);
+  });
+
+  it('rejects unknown style properties', function () {
+    assert.throws(function () {
+      new escpos.Printer(new StubAdapter()).withStyle({ blink: true }, function () {});
+    }, /Unknown style property: blink/);
+  });
+});
+
+describe('hardware(\'init\')', function () {
+  it('sets the tracked formatting back to the defaults', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.font('b').style('bu').size(3, 3).spacing(2).hardware('init');
+    assert.strictEqual(printer.width, 42);
+    assert.strictEqual(printer.lineColumns(), 42);
+    printer.withStyle({ bold: true }, function (p) {
+      p.text('A');
+    });
+    printer.flush();
+    printer.setProfile('TM-T20').font('b').hardware('init');
+    assert.strictEqual(printer.width, 48);
+    assert.ok(printer.adapter.bytes().toString('hex').endsWith('1b40' + '1b4501' + '410a' + '1b4500'));
+  });
+});
+
+describe('rotate() / upsideDown() / doubleStrike() / smooth()', function () {
+  it('writes ESC V, ESC {, ESC G and GS b', function () {
+    assert.strictEqual(printed(function (printer) {
+      printer.rotate(true).upsideDown(true).doubleStrike(true).smooth(true);
+    }), '1b5601' + '1b7b01' + '1b4701' + '1d6201');
+  });
+
+  it('are tracked by withStyle()', function () {
+    assert.strictEqual(printed(function (printer) {
+      printer.withStyle({ rotate: true, upsideDown: true, doubleStrike: true, smooth: true }, function (p) {
+        p.text('A');
+      });
+    }), '1b5601' + '1b4701' + '1d6201' + '1b7b01' + '410a' + '1b5600' + '1b4700' + '1d6200' + '1b7b00');
+  });
+
+  it('print the held lines last first when upside down with reverseLines', function () {
+    assert.strictEqual(printed(function (printer) {
+      printer.upsideDown(true, { reverseLines: true }).text('1').text('2').upsideDown(false);
+    }), '1b7b01' + '320a' + '310a' + '1b7b00');
+  });
+
+  it('print the held lines before init, which turns upside down off', function () {
+    assert.strictEqual(printed(function (printer) {
+      printer.upsideDown(true, { reverseLines: true }).text('1').text('2').hardware('init').text('3');
+    }), '1b7b01' + '320a' + '310a' + '1b40' + '330a');
+  });
+
+  it('are turned off by init', function () {
+    assert.ok(printed(function (printer) {
+      printer.rotate(true).smooth(true).hardware('init');
+      printer.withStyle({ rotate: true, smooth: true }, function () {});
+    }).endsWith('1b40' + '1b5601' + '1d6201' + '1b5600' + '1d6200'));
+  });
+});
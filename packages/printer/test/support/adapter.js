@@ -0,0 +1,43 @@
+'use strict';
+const util = require('util');
+const EventEmitter = require('events');
+
+/**
+ * [an adapter recording the bytes written to it]
+ * @param  {Function} responder [optional, returns the bytes the printer answers to a write]
+ */
+function StubAdapter(responder) {
+  EventEmitter.call(this);
+  this.written = [];
+  this.responder = responder;
+}
+
+util.inherits(StubAdapter, EventEmitter);
+
+StubAdapter.prototype.write = function (data, callback) {
+  var self = this;
+  this.written.push(Buffer.from(data));
+  var reply = this.responder && this.responder(Buffer.from(data));
+  if (reply) {
+    setImmediate(function () {
+      self.emit('read', Buffer.from(reply));
+    });
+  }
+  callback && callback();
+};
+
+StubAdapter.prototype.read = function (callback) {
+  this.once('read', function (data) {
+    callback(null, data);
+  });
+};
+
+/**
+ * [all the bytes written so far]
+ * @return {[Buffer]} [description]
+ */
+StubAdapter.prototype.bytes = function () {
+  return Buffer.concat(this.written);
+};
+
+module.exports = StubAdapter;
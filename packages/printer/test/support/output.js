@@ -0,0 +1,41 @@
+'use strict';
+const escpos = require('../..');
+const StubAdapter = require('./adapter');
+
+/**
+ * [flush the printer, the bytes written to its StubAdapter]
+ * @param  {[Printer]} printer  [a printer writing to a StubAdapter]
+ * @param  {[String]}  encoding [hex (default), binary or utf8]
+ * @return {[String]}           [description]
+ */
+function output(printer, encoding) {
+  printer.flush();
+  return printer.adapter.bytes().toString(encoding || 'hex');
+}
+
+/**
+ * [bytes written by `print` with a new printer, in hex]
+ * @param  {[Function]} print   [called with the printer]
+ * @param  {[Object]}   options [printer options]
+ * @return {[String]}           [description]
+ */
+function printed(print, options) {
+  var printer = new escpos.Printer(new StubAdapter(), options);
+  print(printer);
+  return output(printer);
+}
+
+/**
+ * [text lines printed by `print` in UTF-8, with their formatting commands]
+ * @param  {[Function]} print [called with the printer]
+ * @return {[Array]}          [description]
+ */
+function lines(print) {
+  var printer = new escpos.Printer(new StubAdapter(), { encoding: 'utf8' });
+  print(printer);
+  return output(printer, 'utf8').split('\n').slice(0, -1);
+}
+
+exports.output = output;
+exports.printed = printed;
+exports.lines = lines;
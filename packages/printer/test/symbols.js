@@ -0,0 +1,61 @@
+'use strict';
+const assert = require('assert');
+const escpos = require('..');
+const StubAdapter = require('./support/adapter');
+const { output } = require('./support/output');
+
+describe('pdf417()', function () {
+  it('prints with GS ( k: columns, rows, width, row height, level, options, store and print', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.pdf417('hi', { columns: 2, errorLevel: 3, truncated: true });
+    assert.strictEqual(output(printer), [
+      '1d286b03003041' + '02', // 2 columns
+      '1d286b03003042' + '00', // auto rows
+      '1d286b03003043' + '03', // module width 3
+      '1d286b03003044' + '03', // row height 3
+      '1d286b0400304530' + '33', // error level 3
+      '1d286b03003046' + '01', // truncated
+      '1d286b05003050' + '30' + '6869', // store 'hi'
+      '1d286b03003051' + '30' // print
+    ].join(''));
+  });
+
+  it('checks the ranges', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    assert.throws(function () { printer.pdf417('x', { rows: 2 }); }, /PDF417 rows must be between 3 and 90/);
+    assert.throws(function () { printer.pdf417('x', { errorLevel: 9 }); }, /PDF417 error level must be between 0 and 8/);
+  });
+});
+
+describe('datamatrix()', function () {
+  it('prints with GS ( k: type and size, module size, store and print', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.datamatrix('hi', { size: [ 18, 8 ], moduleSize: 4 });
+    assert.strictEqual(output(printer), [
+      '1d286b05003642' + '31' + '12' + '08', // rectangle, 18 columns, 8 rows
+      '1d286b03003643' + '04', // module size 4
+      '1d286b05003650' + '30' + '6869', // store 'hi'
+      '1d286b03003651' + '30' // print
+    ].join(''));
+  });
+
+  it('sizes the symbol automatically by default', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.datamatrix('hi');
+    assert.strictEqual(output(printer).slice(0, 20), '1d286b05003642300000');
+  });
+
+  it('only accepts ECC200 symbol sizes', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.datamatrix('hi', { size: 144 });
+    assert.throws(function () { printer.datamatrix('x', { size: 15 }); }, /DataMatrix size 15x15 is not an ECC200 symbol size/);
+    assert.throws(function () { printer.datamatrix('x', { size: [ 8, 18 ] }); }, /DataMatrix size 8x18 is not an ECC200 symbol size/);
+    assert.throws(function () { printer.datamatrix('x', { size: [ 0, 12 ] }); }, /DataMatrix size 0x12 is not an ECC200 symbol size/);
+  });
+
+  it('checks the code fits in the symbol', function () {
+    var printer = new escpos.Printer(new StubAdapter());
+    printer.datamatrix('abc', { size: 12 });
+    assert.throws(function () { printer.datamatrix('abcd', { size: 12 }); }, /Must be between 1 and 3 for DataMatrix size 12x12/);
+  });
+});
@@ -44,3 +44,103 @@ exports.spaceText = function(text1, text2, width) {
 
   return str;
 }
+
+/**
+ * QR Code data capacity in bytes (byte mode) for versions 1 ~ 40
+ * [L, M, Q, H]
+ */
+const QR_CAPACITY = [
+  [17, 14, 11, 7], [32, 26, 20, 14], [53, 42, 32, 24], [78, 62, 46, 34],
+  [106, 84, 60, 44], [134, 106, 74, 58], [154, 122, 86, 64], [192, 152, 108, 84],
+  [230, 180, 130, 98], [271, 213, 151, 119], [321, 251, 177, 137], [367, 287, 203, 155],
+  [425, 331, 241, 177], [458, 362, 258, 194], [520, 412, 292, 220], [586, 450, 322, 250],
+  [644, 504, 364, 280], [718, 560, 394, 310], [792, 624, 442, 338], [858, 666, 482, 382],
+  [929, 711, 509, 403], [1003, 779, 565, 439], [1091, 857, 611, 461], [1171, 911, 661, 511],
+  [1273, 997, 715, 535], [1367, 1059, 751, 593], [1465, 1125, 805, 625], [1528, 1190, 868, 658],
+  [1628, 1264, 908, 698], [1732, 1370, 982, 742], [1840, 1452, 1030, 790], [1952, 1538, 1112, 842],
+  [2068, 1628, 1168, 898], [2188, 1722, 1228, 958], [2303, 1809, 1283, 983], [2431, 1911, 1351, 1051],
+  [2563, 1989, 1423, 1093], [2699, 2099, 1499, 1139], [2809, 2213, 1579, 1219], [2953, 2331, 1663, 1273]
+];
+
+/**
+ * [qrCapacity how many bytes a QR Code symbol can hold]
+ * @param  {[Number]} version [1 ~ 40]
+ * @param  {[String]} level   [L, M, Q or H]
+ * @return {[Number]}         [description]
+ */
+exports.qrCapacity = function (version, level) {
+  return QR_CAPACITY[version - 1][ 'LMQH'.indexOf(level) ];
+};
+
+/**
+ * ECC200 DataMatrix symbol sizes, [columns, rows] => capacity in bytes (base 256)
+ */
+const DATAMATRIX_CAPACITY = {
+  '10x10': 1, '12x12': 3, '14x14': 6, '16x16': 10, '18x18': 16, '20x20': 20, '22x22': 28, '24x24': 34,
+  '26x26': 42, '32x32': 60, '36x36': 84, '40x40': 112, '44x44': 142, '48x48': 172, '52x52': 202,
+  '64x64': 278, '72x72': 366, '80x80': 454, '88x88': 574, '96x96': 694, '104x104': 814,
+  '120x120': 1048, '132x132': 1302, '144x144': 1556,
+  '18x8': 3, '32x8': 8, '26x12': 14, '36x12': 20, '36x16': 30, '48x16': 47
+};
+
+/**
+ * [dataMatrixCapacity how many bytes a DataMatrix symbol can hold]
+ * @param  {[Number]} columns [description]
+ * @param  {[Number]} rows    [description]
+ * @return {[Number]}         [undefined when the size is not an ECC200 symbol size]
+ */
+exports.dataMatrixCapacity = function (columns, rows) {
+  return DATAMATRIX_CAPACITY[columns + 'x' + rows];
+};
+
+/**
+ * East Asian Wide and Fullwidth ranges, printed two columns wide
+ */
+const WIDE = [
+  [0x1100, 0x115f], [0x231a, 0x231b], [0x2329, 0x232a], [0x23e9, 0x23ec], [0x2e80, 0x303e],
+  [0x3041, 0x33ff], [0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xa000, 0xa4cf], [0xa960, 0xa97f],
+  [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe10, 0xfe19], [0xfe30, 0xfe6f], [0xff00, 0xff60],
+  [0xffe0, 0xffe6], [0x1f300, 0x1f64f], [0x1f900, 0x1f9ff], [0x20000, 0x2fffd], [0x30000, 0x3fffd]
+];
+
+/**
+ * Combining and zero width ranges, printed over the previous character
+ */
+const ZERO_WIDTH = [
+  [0x0300, 0x036f], [0x0483, 0x0489], [0x0591, 0x05bd], [0x0610, 0x061a], [0x064b, 0x065f],
+  [0x200b, 0x200f], [0x20d0, 0x20ff], [0xfe00, 0xfe0f], [0xfe20, 0xfe2f]
+];
+
+function inRanges(code, ranges) {
+  for (var i = 0; i < ranges.length; i++) {
+    if (code >= ranges[i][0] && code <= ranges[i][1]) return true;
+  }
+  return false;
+}
+
+/**
+ * [columns taken by a character, East Asian Width]
+ * @param  {[String]} ch [a single character]
+ * @return {[Number]}    [0, 1 or 2]
+ */
+exports.charWidth = function (ch) {
+  var code = ch.codePointAt(0);
+  if (code < 0x20 || (code >= 0x7f && code < 0xa0)) return 0;
+  if (code < 0x0300) return 1;
+  if (inRanges(code, ZERO_WIDTH)) return 0;
+  return inRanges(code, WIDE) ? 2 : 1;
+};
+
+/**
+ * [columns taken by a text]
+ * @usage:
+ *   textWidth('abc') => 3
+ *   textWidth('中文') => 4
+ * @param  {[String]} str [description]
+ * @return {[Number]}     [description]
+ */
+exports.textWidth = function (str) {
+  return Array.from(String(str)).reduce(function (width, ch) {
+    return width + exports.charWidth(ch);
+  }, 0);
+};
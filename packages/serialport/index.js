@@ -19,6 +19,9 @@ function Serial(port, options){
     self.emit('disconnect', self.device);
     self.device = null;
   });
+  this.device.on('data', function(data) {
+    self.emit('read', data);
+  });
   EventEmitter.call(this);
   return this;
 };
@@ -46,6 +49,18 @@ Serial.prototype.write = function(data, callback){
   return this;
 };
 
+/**
+ * read the next chunk of data sent back by the printer
+ * @param  {Function} callback [callback(err, data)]
+ * @return {[type]}            [description]
+ */
+Serial.prototype.read = function(callback){
+  this.once('read', function(data){
+    callback && callback(null, data);
+  });
+  return this;
+};
+
 /**
  * close device
  * @param  {Function} callback  [description]
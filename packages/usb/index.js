@@ -124,6 +124,17 @@ USB.prototype.open = function (callback){
           if(endpoint.direction == 'out' && !self.endpoint) {
             self.endpoint = endpoint;
           }
+          if(endpoint.direction == 'in' && !self.deviceToPcEndpoint) {
+            self.deviceToPcEndpoint = endpoint;
+            // keep a transfer pending so status bytes pushed by the printer are not lost
+            endpoint.on('data', function(data){
+              if(data && data.length) self.emit('read', data);
+            });
+            endpoint.on('error', function(err){
+              self.listenerCount('error') && self.emit('error', err);
+            });
+            endpoint.startPoll(1, 64);
+          }
         });
         if(self.endpoint) {
           self.emit('connect', self.device);
@@ -149,12 +160,34 @@ USB.prototype.write = function(data, callback){
   return this;
 };
 
+/**
+ * [read the next chunk of data sent back by the printer]
+ * @param  {Function} callback [callback(err, data)]
+ * @return {[type]}            [description]
+ */
+USB.prototype.read = function(callback){
+  if(!this.deviceToPcEndpoint) {
+    callback && callback(new Error('Can not find IN endpoint from printer'));
+    return this;
+  }
+  this.once('read', function(data){
+    callback && callback(null, data);
+  });
+  return this;
+};
+
 USB.prototype.close = function(callback){
 
   if(this.device) {
 
     try {
 
+      if(this.deviceToPcEndpoint) {
+        this.deviceToPcEndpoint.removeAllListeners('data');
+        this.deviceToPcEndpoint.stopPoll();
+        this.deviceToPcEndpoint = null;
+      }
+
       this.device.close();
       usb.removeAllListeners('detach');
 